@@ -0,0 +1,152 @@
+// companion.js
+
+// Client for the companion server (companion/server.mjs), which gives the
+// editor a folder on this computer without the File System Access API:
+// listing, reading, writing only over the version last read, and change
+// events. The protocol is described in companion/PROTOCOL.md.
+
+export const COMPANION_DEFAULT_URL = 'http://127.0.0.1:7723';
+const SETTINGS_KEY = 'companion';
+
+// { url, token } saved by "Companion: Connect…", or null.
+export function companionSettings() {
+  try {
+    const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    return settings && typeof settings.url === 'string' && typeof settings.token === 'string' ? settings : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveCompanionSettings(settings) {
+  if (settings) localStorage.setItem(SETTINGS_KEY, JSON.stringify({ url: settings.url, token: settings.token }));
+  else localStorage.removeItem(SETTINGS_KEY);
+}
+
+// Errors carry the HTTP `status` and the protocol's `code`. Their names follow
+// the File System Access API where one fits (NotFoundError,
+// NotAllowedError), so code written for file handles handles them too.
+function companionError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.name = status === 404 ? 'NotFoundError'
+    : status === 401 || status === 403 ? 'NotAllowedError'
+      : status === 412 ? 'ConflictError'
+        : 'CompanionError';
+  return err;
+}
+
+const unquote = etag => (etag || '').replace(/^W\//, '').replace(/^"|"$/g, '');
+
+export function createCompanion({ url, token }) {
+  const base = url.trim().replace(/\/+$/, '');
+
+  async function request(method, route, { path, body, headers = {} } = {}) {
+    const query = path === undefined ? '' : `?path=${encodeURIComponent(path)}`;
+    let res;
+    try {
+      res = await fetch(`${base}/v1/${route}${query}`, {
+        method,
+        body,
+        headers: { Authorization: `Bearer ${token}`, ...headers },
+        cache: 'no-store',
+      });
+    } catch {
+      throw companionError(0, 'unreachable', `the companion at ${base} isn't running or can't be reached`);
+    }
+    if (res.ok) return res;
+    let info = {};
+    try { info = await res.json(); } catch { /* HEAD, or not JSON */ }
+    throw companionError(res.status, info.error || 'error', info.message || `the companion answered ${res.status}`);
+  }
+
+  const fileInfo = res => ({
+    version: unquote(res.headers.get('ETag')),
+    mtime: Number(res.headers.get('X-Mtime')) || Date.parse(res.headers.get('Last-Modified')) || 0,
+    size: Number(res.headers.get('X-Size')) || 0,
+  });
+
+  return {
+    url: base,
+    hello: async () => (await request('GET', 'hello')).json(),
+    list: async (path = '') => (await request('GET', 'list', { path })).json(),
+    stat: async path => fileInfo(await request('HEAD', 'file', { path })),
+    async read(path) {
+      const res = await request('GET', 'file', { path });
+      return { ...fileInfo(res), bytes: new Uint8Array(await res.arrayBuffer()) };
+    },
+    // `ifMatch`: only over that version; `create`: only when the file doesn't exist yet
+    async write(path, bytes, { ifMatch = null, create = false } = {}) {
+      const headers = { 'Content-Type': 'application/octet-stream' };
+      if (ifMatch) headers['If-Match'] = `"${ifMatch}"`;
+      if (create) headers['If-None-Match'] = '*';
+      return (await request('PUT', 'file', { path, body: bytes, headers })).json();
+    },
+    // Calls onChange(path) for files that change under `path`; returns a function that stops.
+    watch(onChange, path = '') {
+      const source = new EventSource(`${base}/v1/watch?path=${encodeURIComponent(path)}&token=${encodeURIComponent(token)}`);
+      source.addEventListener('change', (e) => {
+        try {
+          onChange(JSON.parse(e.data).path);
+        } catch { /* malformed event */ }
+      });
+      return () => source.close();
+    },
+  };
+}
+
+// Stands in for a FileSystemFileHandle (name, getFile, createWritable,
+// isSameEntry), so tabs can be linked to companion files like to local ones.
+// getFile() only asks for the version; the content is fetched when it is
+// read. Once the content has been read or written through the handle, writes
+// go only over that version, so changes made on disk meanwhile fail with a
+// ConflictError instead of being lost. `version` is one known from before
+// (for instance stored with the tab's link), and onVersion(version) is called
+// whenever it changes, so the caller can keep it across reloads.
+export function companionFileHandle(companion, path, { version: known = null, onVersion = () => {} } = {}) {
+  let version = known;
+  const remember = (next) => {
+    if (next === version) return;
+    version = next;
+    onVersion(next);
+  };
+  const name = path.split('/').pop();
+
+  function lazyFile({ mtime, size }) {
+    let loading = null;
+    const load = () => (loading ||= companion.read(path).then((file) => {
+      remember(file.version);
+      return file.bytes;
+    }));
+    return {
+      name,
+      size,
+      lastModified: mtime,
+      arrayBuffer: async () => (await load()).slice().buffer,
+      text: async () => new TextDecoder().decode(await load()),
+      slice: (start, end) => ({ arrayBuffer: async () => (await load()).slice(start, end).buffer }),
+    };
+  }
+
+  return {
+    kind: 'file',
+    name,
+    companionPath: path,
+    get companionVersion() { return version; },
+    companionUrl: companion.url,
+    getFile: async () => lazyFile(await companion.stat(path)),
+    async createWritable() {
+      const chunks = [];
+      return {
+        write: async (data) => { chunks.push(data); },
+        async close() {
+          const bytes = new Uint8Array(await new Blob(chunks).arrayBuffer());
+          const result = await companion.write(path, bytes, { ifMatch: version });
+          remember(result.version);
+        },
+      };
+    },
+    isSameEntry: async other => !!other && other.companionUrl === companion.url && other.companionPath === path,
+  };
+}
@@ -0,0 +1,345 @@
+// companion/server.mjs
+
+// Reference companion server: gives the editor access to one folder on this
+// computer over HTTP on localhost. The protocol is described in PROTOCOL.md
+// next to this file. No dependencies; needs Node.js 20 or newer.
+//
+//   node companion/server.mjs --root ~/notes [--port 7723] [--token <token>]
+//                             [--allow-origin <origin>]...
+//
+// A token is generated on every start unless one is given (or set in
+// COMPANION_TOKEN); paste it into "Companion: Connect…" in the editor.
+
+import { createServer } from 'node:http';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import { watch } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { fileURLToPath } from 'node:url';
+
+const PROTOCOL_VERSION = 1;
+const DEFAULT_PORT = 7723;
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const HEARTBEAT_MS = 25000;
+
+function parseArgs(argv) {
+  const options = { root: null, port: DEFAULT_PORT, token: process.env.COMPANION_TOKEN || null, origins: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--root') options.root = value();
+    else if (arg === '--port') options.port = Number(value());
+    else if (arg === '--token') options.token = value();
+    else if (arg === '--allow-origin') options.origins.push(value().replace(/\/+$/, ''));
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`unknown option ${arg}`);
+  }
+  if (!options.help && !options.root) throw new Error('--root is required');
+  if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) throw new Error('--port must be a port number');
+  return options;
+}
+
+// Errors answered as { error, message } with their HTTP status.
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const expandHome = p => (p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p);
+
+// "<inode>-<mtime>-<size>": changes with every write, including replacing the
+// file by renaming another one over it.
+const versionOf = stat => `${stat.ino.toString(36)}-${Math.floor(stat.mtimeMs).toString(36)}-${stat.size.toString(36)}`;
+
+export function createCompanionServer({ root, token, origins = [] }) {
+  const rootDir = path.resolve(expandHome(root));
+  let realRoot = null;
+  const expected = Buffer.from(token);
+
+  const isAuthorized = (given) => {
+    const buf = Buffer.from(given || '');
+    return buf.length === expected.length && timingSafeEqual(buf, expected);
+  };
+
+  // With no --allow-origin every origin may call (the token still has to
+  // match); otherwise only the listed ones.
+  const allowOrigin = origin => !!origin && (!origins.length || origins.includes(origin));
+
+  // Only requests addressed to localhost: a web page that points its own
+  // host name at 127.0.0.1 (DNS rebinding) gets a different Host header.
+  const isLocalHost = host => /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/i.test(host || '');
+
+  // Maps a protocol path ("notes/todo.md", "/" separated, relative to the
+  // root) to a path on disk, refusing anything outside the root, including
+  // through symbolic links.
+  async function resolvePath(relative = '') {
+    if (typeof relative !== 'string' || relative.includes('\0')) throw new HttpError(400, 'bad_request', 'invalid path');
+    const normalized = path.posix.normalize('/' + relative.replace(/\\/g, '/'));
+    const full = path.join(rootDir, ...normalized.split('/').filter(Boolean));
+    realRoot ||= await fs.realpath(rootDir);
+    // the deepest part of the path that exists decides where it really points
+    let existing = full;
+    for (;;) {
+      try {
+        const real = await fs.realpath(existing);
+        if (real !== realRoot && !real.startsWith(realRoot + path.sep)) throw new HttpError(403, 'forbidden', 'path is outside the root folder');
+        break;
+      } catch (err) {
+        if (err instanceof HttpError) throw err;
+        if (err.code !== 'ENOENT' || existing === rootDir) throw err;
+        existing = path.dirname(existing);
+      }
+    }
+    return { full, relative: normalized.slice(1) };
+  }
+
+  async function statFile(full) {
+    const stat = await fs.stat(full);
+    if (!stat.isFile()) throw new HttpError(400, 'not_a_file', 'path is not a file');
+    return stat;
+  }
+
+  const fileHeaders = stat => ({
+    ETag: `"${versionOf(stat)}"`,
+    'Last-Modified': stat.mtime.toUTCString(),
+    'X-Mtime': String(Math.floor(stat.mtimeMs)),
+    'X-Size': String(stat.size),
+  });
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new HttpError(413, 'too_large', `files are limited to ${MAX_BODY_BYTES} bytes`));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  async function list(res, relative) {
+    const { full, relative: dir } = await resolvePath(relative);
+    const dirents = await fs.readdir(full, { withFileTypes: true });
+    const entries = [];
+    for (const dirent of dirents) {
+      try {
+        // follows links, so a linked folder lists as a folder
+        const stat = await fs.stat(path.join(full, dirent.name));
+        if (stat.isDirectory()) entries.push({ name: dirent.name, kind: 'directory', mtime: Math.floor(stat.mtimeMs) });
+        else if (stat.isFile()) entries.push({ name: dirent.name, kind: 'file', size: stat.size, mtime: Math.floor(stat.mtimeMs) });
+      } catch { /* broken link, or removed meanwhile */ }
+    }
+    entries.sort((a, b) => (a.kind === b.kind ? a.name.localeCompare(b.name) : a.kind === 'directory' ? -1 : 1));
+    sendJson(res, 200, { path: dir, entries });
+  }
+
+  async function readFile(req, res, relative) {
+    const { full } = await resolvePath(relative);
+    if (req.method === 'HEAD') {
+      const stat = await statFile(full);
+      res.writeHead(200, { ...fileHeaders(stat), 'Content-Length': stat.size });
+      res.end();
+      return;
+    }
+    // stat and content from the same open file, so the version matches the bytes
+    const file = await fs.open(full);
+    try {
+      const stat = await file.stat();
+      if (!stat.isFile()) throw new HttpError(400, 'not_a_file', 'path is not a file');
+      const data = await file.readFile();
+      res.writeHead(200, { ...fileHeaders(stat), 'Content-Type': 'application/octet-stream', 'Content-Length': data.length });
+      res.end(data);
+    } finally {
+      await file.close();
+    }
+  }
+
+  // Writes to a temporary file that is then renamed over the target, so
+  // readers never see half a file. Writes are queued per file so the version
+  // check and the write can't interleave with another request's.
+  const writeQueues = new Map();
+  function queueWrite(full, task) {
+    const previous = writeQueues.get(full) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    writeQueues.set(full, run);
+    run.finally(() => { if (writeQueues.get(full) === run) writeQueues.delete(full); }).catch(() => {});
+    return run;
+  }
+
+  async function writeFile(req, res, relative) {
+    const { full } = await resolvePath(relative);
+    if (!relative || full === rootDir) throw new HttpError(400, 'bad_request', 'path is required');
+    const ifMatch = req.headers['if-match'];
+    const ifNoneMatch = req.headers['if-none-match'];
+    const body = await readBody(req);
+    const stat = await queueWrite(full, async () => {
+      let current = null;
+      try {
+        current = await statFile(full);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      if (ifNoneMatch === '*' && current) throw new HttpError(412, 'exists', 'the file already exists');
+      if (ifMatch && (!current || ifMatch.replace(/^W\//, '') !== `"${versionOf(current)}"`)) {
+        throw new HttpError(412, 'conflict', current ? 'the file changed since it was read' : 'the file no longer exists');
+      }
+      const temp = path.join(path.dirname(full), `.${path.basename(full)}.${randomBytes(4).toString('hex')}.tmp`);
+      try {
+        await fs.writeFile(temp, body, current ? { mode: current.mode } : {});
+        await fs.rename(temp, full);
+      } catch (err) {
+        await fs.rm(temp, { force: true });
+        throw err;
+      }
+      return fs.stat(full);
+    });
+    res.setHeader('ETag', `"${versionOf(stat)}"`);
+    sendJson(res, 200, { version: versionOf(stat), mtime: Math.floor(stat.mtimeMs), size: stat.size });
+  }
+
+  // One recursive watcher on the root, shared by every event stream and
+  // closed when the last one goes away.
+  const watchers = new Set();
+  let fsWatcher = null;
+
+  function addWatcher(listener) {
+    watchers.add(listener);
+    if (!fsWatcher) {
+      fsWatcher = watch(rootDir, { recursive: true }, (type, fileName) => {
+        if (!fileName) return;
+        const relative = String(fileName).split(path.sep).join('/');
+        // our own temporary files
+        if (/(^|\/)\.[^/]*\.[0-9a-f]{8}\.tmp$/.test(relative)) return;
+        watchers.forEach(fn => fn(relative));
+      });
+      fsWatcher.on('error', err => console.error('Watching the root folder failed:', err.message));
+    }
+    return () => {
+      watchers.delete(listener);
+      if (!watchers.size && fsWatcher) {
+        fsWatcher.close();
+        fsWatcher = null;
+      }
+    };
+  }
+
+  async function watchEvents(req, res, relative) {
+    const { relative: prefix } = await resolvePath(relative);
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+    res.write(`event: ready\ndata: ${JSON.stringify({ path: prefix })}\n\n`);
+    const remove = addWatcher((changed) => {
+      if (prefix && changed !== prefix && !changed.startsWith(prefix + '/')) return;
+      res.write(`event: change\ndata: ${JSON.stringify({ path: changed })}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      remove();
+    });
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const origin = req.headers.origin;
+    if (!isLocalHost(req.headers.host)) throw new HttpError(403, 'forbidden', 'only requests to localhost are served');
+    if (origin && !allowOrigin(origin)) throw new HttpError(403, 'forbidden', `origin ${origin} is not allowed`);
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, X-Mtime, X-Size');
+    }
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, PUT, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-Match, If-None-Match');
+      res.setHeader('Access-Control-Max-Age', '600');
+      // Chrome asks before letting a public https page call localhost
+      if (req.headers['access-control-request-private-network']) res.setHeader('Access-Control-Allow-Private-Network', 'true');
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    // EventSource can't send headers, so the stream takes the token in the query
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+    const given = url.pathname === '/v1/watch' ? url.searchParams.get('token') : bearer;
+    if (!isAuthorized(given)) throw new HttpError(401, 'unauthorized', 'missing or wrong token');
+
+    const relative = url.searchParams.get('path') || '';
+    const route = `${req.method} ${url.pathname}`;
+    if (route === 'GET /v1/hello') {
+      sendJson(res, 200, { name: 'simple-monaco-editor-companion', protocol: PROTOCOL_VERSION, root: path.basename(rootDir) });
+    } else if (route === 'GET /v1/list') {
+      await list(res, relative);
+    } else if (route === 'GET /v1/file' || route === 'HEAD /v1/file') {
+      await readFile(req, res, relative);
+    } else if (route === 'PUT /v1/file') {
+      await writeFile(req, res, relative);
+    } else if (route === 'GET /v1/watch') {
+      await watchEvents(req, res, relative);
+    } else {
+      throw new HttpError(404, 'not_found', `no route ${route}`);
+    }
+  }
+
+  return createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      const known = err instanceof HttpError;
+      const status = known ? err.status : err.code === 'ENOENT' ? 404 : err.code === 'ENOTDIR' ? 400 : 500;
+      const code = known ? err.code : status === 404 ? 'not_found' : status === 400 ? 'bad_request' : 'internal';
+      if (status === 500) console.error(`${req.method} ${req.url}:`, err);
+      if (res.headersSent) { res.destroy(); return; }
+      const message = known ? err.message : status === 404 ? 'no such file or folder' : status === 400 ? 'not a folder' : 'internal error';
+      if (req.method === 'HEAD') { res.writeHead(status); res.end(); return; }
+      sendJson(res, status, { error: code, message });
+    });
+  });
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}. Run with --help for usage.`);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log('Usage: node companion/server.mjs --root <folder> [--port 7723] [--token <token>] [--allow-origin <origin>]...');
+    return;
+  }
+  const root = path.resolve(expandHome(options.root));
+  const stat = await fs.stat(root).catch(() => null);
+  if (!stat || !stat.isDirectory()) {
+    console.error(`${root} is not a folder.`);
+    process.exit(2);
+  }
+  const token = options.token || randomBytes(24).toString('base64url');
+  const server = createCompanionServer({ root, token, origins: options.origins });
+  server.listen(options.port, '127.0.0.1', () => {
+    console.log(`Serving ${root}`);
+    console.log(`URL:   http://127.0.0.1:${options.port}`);
+    console.log(`Token: ${token}`);
+  });
+}
+
+// run directly, not imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
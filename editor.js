@@ -1,5 +1,17 @@
 // editor.js
 
+import { openStore, readOnlyStore } from './storage.js';
+import { runMigrations } from './migrations.js';
+import { createSyncChannel } from './sync.js';
+import { DEFAULT_TAG_COLOR, normalizeColor, normalizeTabName, normalizeTabMeta } from './tab-meta.js';
+import { downloadBlob, pickSaveBackend, saveBackends } from './save-backends.js';
+import { createZip } from './zip.js';
+import { TAGS_KEY, loadTags, normalizeTagName, saveTags } from './tags.js';
+import { COMPANION_DEFAULT_URL, companionFileHandle, companionSettings, createCompanion, saveCompanionSettings } from './companion.js';
+import { DEFAULT_ENCODING, ENCODINGS, decodeText, detectEOL, detectEncoding, encodeText, encodingInfo, isEncoding, unencodableIndex } from './encoding.js';
+import { extensionForLanguage, languageFromContent, languageFromFileName } from './language-detect.js';
+import { isVaultSupported, isVaultRecord, createVault, unlockVault, encryptText, decryptText } from './vault.js';
+
 // (No global controller stub; rely on in-app keybindings)
 
 (async () => {
@@ -7,8 +19,12 @@
 
   const { customThemes } = await import('./themes/index.js');
   const { languages } = await import('./languages.js');
+  const store = await openStore();
+  const migration = await runMigrations(store);
 
-  initializeEditor(customThemes, languages);
+  // never write keys of a schema version that hasn't been applied
+  const upgraded = migration.ok || migration.tooNew;
+  initializeEditor(customThemes, languages, upgraded ? store : readOnlyStore(store), migration);
 })().catch(error => {
   console.error('Error initializing the editor:', error);
 });
@@ -23,31 +39,73 @@ function loadMonacoEditor() {
   });
 }
 
-function initializeEditor(customThemes = [], languages = []) {
+function initializeEditor(customThemes = [], languages = [], store, migration = { ok: true }) {
   require.config({
     baseUrl: './monaco-editor/min',
     paths: { 'vs': 'vs' },
   });
 
   require(['vs/editor/editor.main'], () => {
+    const workspaceSelect = document.getElementById('workspace-select');
     const themeSelect = document.getElementById('theme-select');
     const languageSelect = document.getElementById('language-select');
     const tabbarEl = document.getElementById('tabbar');
     const tabsScrollEl = document.getElementById('tabs-scroll');
+    const editorContainer = document.getElementById('editor-container');
     const addTabBtn = document.getElementById('add-tab');
     const historyBtn   = document.getElementById('history-button');
     const saveButton   = document.getElementById('save-button');
+    const eolStatus = document.getElementById('eol-status');
+    const encodingStatus = document.getElementById('encoding-status');
     const historyPanel = document.getElementById('history-panel');
     const historyList  = document.getElementById('history-list');
     const historyClear = document.getElementById('history-clear');
+    const historySearch = document.getElementById('history-search');
+    const historyMaxCount = document.getElementById('history-max-count');
+    const historyMaxAge = document.getElementById('history-max-age');
+    const snapshotsBtn = document.getElementById('snapshots-button');
+    const snapshotPanel = document.getElementById('snapshot-panel');
+    const snapshotForm = document.getElementById('snapshot-form');
+    const snapshotName = document.getElementById('snapshot-name');
+    const snapshotList = document.getElementById('snapshot-list');
+    const diffOverlay  = document.getElementById('diff-overlay');
+    const diffContainer = document.getElementById('diff-container');
+    const diffTitle    = document.getElementById('diff-title');
+    const diffHunks    = document.getElementById('diff-hunks');
+    const diffRestoreSelected = document.getElementById('diff-restore-selected');
+    const diffRestoreAll = document.getElementById('diff-restore-all');
+    const diffClose    = document.getElementById('diff-close');
+    const noticesEl    = document.getElementById('notices');
+    const storageMeter = document.getElementById('storage-meter');
     const tabsHostEl = tabsScrollEl || tabbarEl;
+    const tagFilterBtn = document.getElementById('tag-filter');
     // track whether to scroll the tab bar fully to the end after rebuild
     let scrollToEndNext = false;
 
-    const DEFAULT_TAG_COLOR = '#8E8E93'; // Finder-style neutral gray
-    const TAG_COLORS = ['#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#007AFF', '#AF52DE', '#8E8E93'];
+    // The tag set (tags.js): colors with optional labels, edited under "Tag labels"
+    let tagSet = loadTags();
+    const tagColors = () => tagSet.map(t => t.color);
+    const tagLabel = color => tagSet.find(t => t.color === normalizeColor(color))?.name || '';
+    const tagName = color => tagLabel(color) || normalizeColor(color);
     let colorPaletteState = null;
 
+    // Tag filter and color groups (see "Tag filter and color groups"), kept in localStorage
+    const TAG_FILTER_KEY = 'tabTagFilter';
+    const GROUP_BY_COLOR_KEY = 'tabGroupByColor';
+    const COLLAPSED_GROUPS_KEY = 'tabGroupsCollapsed';
+    const storedColors = (key) => {
+      try {
+        const list = JSON.parse(localStorage.getItem(key) || '[]');
+        return new Set(Array.isArray(list) ? list.map(c => normalizeColor(c, null)).filter(Boolean) : []);
+      } catch {
+        return new Set();
+      }
+    };
+    let tagFilter = storedColors(TAG_FILTER_KEY); // colors shown; empty shows every tab
+    let groupByColor = localStorage.getItem(GROUP_BY_COLOR_KEY) === '1';
+    const collapsedGroups = storedColors(COLLAPSED_GROUPS_KEY);
+    let tagMenuState = null;
+
     const closeColorPalette = () => {
       if (!colorPaletteState) return;
       if (colorPaletteState.el && colorPaletteState.el.isConnected) {
@@ -59,21 +117,230 @@ function initializeEditor(customThemes = [], languages = []) {
       colorPaletteState = null;
     };
 
+    // ---- Notices (non-blocking status messages) ----
+    // One notice per key; showing the same key again replaces its content.
+    const notices = new Map(); // key -> element
+
+    function showNotice(key, { message, kind = 'info', actions = [], timeout = 0, dismissible = true } = {}) {
+      if (!noticesEl) return;
+      let el = notices.get(key);
+      if (!el) {
+        el = document.createElement('div');
+        notices.set(key, el);
+        noticesEl.appendChild(el);
+      }
+      el.className = `notice ${kind}`;
+      el.setAttribute('role', kind === 'error' ? 'alert' : 'status');
+      el.innerHTML = '';
+
+      const text = document.createElement('span');
+      text.className = 'message';
+      text.textContent = message;
+      el.appendChild(text);
+
+      actions.forEach(({ label, run }) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.addEventListener('click', () => { clearNotice(key); run(); });
+        el.appendChild(btn);
+      });
+
+      if (dismissible) {
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'dismiss';
+        dismiss.textContent = '×';
+        dismiss.title = 'Dismiss';
+        dismiss.addEventListener('click', () => clearNotice(key));
+        el.appendChild(dismiss);
+      }
+
+      clearTimeout(el._timeout);
+      if (timeout > 0) el._timeout = setTimeout(() => clearNotice(key), timeout);
+    }
+
+    function clearNotice(key) {
+      const el = notices.get(key);
+      if (!el) return;
+      clearTimeout(el._timeout);
+      el.remove();
+      notices.delete(key);
+    }
+
+    // ---- Dialogs ----
+    // Small modal built on <dialog>. Resolves with the value of the clicked
+    // button, or `cancelValue` when dismissed with Escape.
+    function openDialog({ title, message = '', body = null, buttons = [{ label: 'OK', value: true }], cancelValue = null }) {
+      return new Promise((resolve) => {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'app-dialog';
+        const form = document.createElement('form');
+        form.method = 'dialog';
+
+        const heading = document.createElement('div');
+        heading.className = 'title';
+        heading.textContent = title;
+        form.appendChild(heading);
+        if (message) {
+          const text = document.createElement('p');
+          text.className = 'message';
+          text.textContent = message;
+          form.appendChild(text);
+        }
+        if (body) form.appendChild(body);
+
+        const row = document.createElement('div');
+        row.className = 'buttons';
+        let result = cancelValue;
+        buttons.forEach(({ label, value, primary }) => {
+          const btn = document.createElement('button');
+          // only the primary button submits, so Enter in a field picks it
+          btn.type = primary ? 'submit' : 'button';
+          btn.textContent = label;
+          if (primary) btn.className = 'primary';
+          btn.addEventListener('click', () => {
+            result = value;
+            if (!primary) dialog.close();
+          });
+          row.appendChild(btn);
+        });
+        form.appendChild(row);
+        dialog.appendChild(form);
+
+        dialog.addEventListener('cancel', () => { result = cancelValue; });
+        dialog.addEventListener('close', () => {
+          dialog.remove();
+          resolve(result);
+        });
+        document.body.appendChild(dialog);
+        dialog.showModal();
+        const focusTarget = body?.querySelector('input, select, textarea') || row.querySelector('.primary');
+        focusTarget?.focus();
+      });
+    }
+
+    const describeStorageError = (err) => {
+      if (err && (err.name === 'QuotaExceededError' || err.code === 22)) return 'storage is full';
+      return (err && err.message) || 'storage error';
+    };
+
+    function reportStorageError(what, err) {
+      console.error(`Failed to persist ${what}:`, err);
+      showNotice('storage', {
+        kind: 'error',
+        message: `Couldn't save ${what}: ${describeStorageError(err)}.`,
+      });
+      refreshStorageMeter();
+    }
+
+    if (migration.tooNew) {
+      showNotice('migration', {
+        kind: 'warn',
+        message: 'Your saved data was written by a newer version of the editor. Some tab settings may be ignored.',
+      });
+    } else if (!migration.ok) {
+      // the failed step was rolled back and is retried on the next load;
+      // until then nothing is stored (readOnlyStore) or sent to other windows
+      showNotice('migration', {
+        kind: 'error',
+        message: `Couldn't upgrade saved data (${migration.failed.name}): ${describeStorageError(migration.error)}. Until it succeeds, text can't be edited and nothing is stored: tabs opened, closed, renamed, recolored or moved now, and workspace changes, are lost on reload.`,
+        actions: [{ label: 'Retry', run: () => location.reload() }],
+      });
+    }
+
+    // ---- Storage usage meter ----
+    const formatBytes = (n) => {
+      if (n < 1024) return `${n} B`;
+      const units = ['KB', 'MB', 'GB', 'TB'];
+      let v = n / 1024;
+      let i = 0;
+      while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
+      return `${v < 10 ? v.toFixed(1) : Math.round(v)} ${units[i]}`;
+    };
+
+    let meterTimeout = null;
+    function refreshStorageMeter() {
+      if (!storageMeter || meterTimeout) return;
+      // throttle: estimate() can be slow and saves happen often
+      meterTimeout = setTimeout(async () => {
+        meterTimeout = null;
+        const est = await store.estimate().catch(() => null);
+        if (!est) { storageMeter.hidden = true; return; }
+        const ratio = Math.min(1, est.usage / est.quota);
+        storageMeter.hidden = false;
+        storageMeter.style.setProperty('--usage', `${Math.max(ratio * 100, 2).toFixed(1)}%`);
+        storageMeter.classList.toggle('warn', ratio >= 0.8 && ratio < 0.95);
+        storageMeter.classList.toggle('full', ratio >= 0.95);
+        const label = `Storage: ${formatBytes(est.usage)} of ${formatBytes(est.quota)} (${(ratio * 100).toFixed(1)}%)`;
+        storageMeter.title = label;
+        storageMeter.setAttribute('aria-valuenow', String(Math.round(ratio * 100)));
+        storageMeter.setAttribute('aria-valuetext', label);
+      }, 500);
+    }
+
+    // ---- Workspaces ----
+    // Each workspace has its own tab list and active tab, and optionally its own
+    // closed history. Their keys are namespaced as `ws:<workspace id>:<key>`;
+    // tab contents stay keyed by the (globally unique) tab id.
+    const WORKSPACES_KEY = 'workspacesV1';
+    const ACTIVE_WORKSPACE_KEY = 'activeWorkspaceIdV1';
+    const DEFAULT_WORKSPACE_ID = 'default';
+    const wsKey = (wsId, key) => `ws:${wsId}:${key}`;
+
+    /** @type {{id:string,name:string,ownHistory:boolean}[]} */
+    let workspaces = store.get(WORKSPACES_KEY, null);
+    if (!Array.isArray(workspaces) || !workspaces.length) {
+      // only when the workspace migration hasn't run; not written until the user changes something
+      workspaces = [{ id: DEFAULT_WORKSPACE_ID, name: 'Default', ownHistory: false }];
+    }
+    let currentWorkspaceId = store.get(ACTIVE_WORKSPACE_KEY);
+    if (!workspaces.some(w => w.id === currentWorkspaceId)) currentWorkspaceId = workspaces[0].id;
+    const getWorkspace = id => workspaces.find(w => w.id === id);
+    const currentWorkspace = () => getWorkspace(currentWorkspaceId) || workspaces[0];
+
     // ---- Recently Closed (persistent history) ----
-    const LS_HISTORY = 'closedHistoryV1';
-    const MAX_HISTORY = 20;
-    let closedHistory = safeParse(localStorage.getItem(LS_HISTORY), []) || [];
+    // Retention is a preference (localStorage): at most `count` unpinned
+    // entries, each kept for at most `days` days (0 = no age limit). Pinned
+    // entries are never evicted.
+    const HISTORY_KEY = 'closedHistoryV1';
+    const DEFAULT_HISTORY_COUNT = 20;
+    const MAX_HISTORY_COUNT = 500;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const historyKeyFor = ws => (ws && ws.ownHistory ? wsKey(ws.id, HISTORY_KEY) : HISTORY_KEY);
+    const historyKey = () => historyKeyFor(currentWorkspace());
+    const clampInt = (value, min, max, fallback) => {
+      const n = Number.parseInt(value, 10);
+      return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    const historyRetention = () => ({
+      count: clampInt(localStorage.getItem('historyMaxCount'), 1, MAX_HISTORY_COUNT, DEFAULT_HISTORY_COUNT),
+      days: clampInt(localStorage.getItem('historyMaxAgeDays'), 0, 3650, 0),
+    });
+    // Newest first; returns a new list without the entries retention evicts.
+    const pruneHistory = (list) => {
+      const { count, days } = historyRetention();
+      const cutoff = days ? Date.now() - days * DAY_MS : -Infinity;
+      let kept = 0;
+      return list.filter(h => h.pinned || (h.closedAt >= cutoff && ++kept <= count));
+    };
+    const loadHistory = () => {
+      const list = store.get(historyKey(), []);
+      // expired entries are dropped from storage with the next change
+      return Array.isArray(list) ? pruneHistory(list) : [];
+    };
+    let closedHistory = loadHistory();
 
     function persistHistory() {
-      try {
-        localStorage.setItem(LS_HISTORY, JSON.stringify(closedHistory));
-      } catch (e) {
-        // trim until it fits; keep at least a few
-        while (closedHistory.length > 5) {
-          closedHistory.pop();
-          try { localStorage.setItem(LS_HISTORY, JSON.stringify(closedHistory)); break; } catch (_) {}
-        }
+      if (applyingRemote) {
+        // the window that made the change has already written it
+        store.prime(historyKey(), closedHistory);
+        return;
       }
+      store.set(historyKey(), closedHistory)
+        .then(refreshStorageMeter)
+        .catch(err => reportStorageError('closed history', err));
+      broadcast({ type: 'history', key: historyKey(), history: closedHistory });
     }
     function pushClosedHistory(entry) {
       const rec = {
@@ -84,8 +351,8 @@ function initializeEditor(customThemes = [], languages = []) {
         color: normalizeColor(entry.color),
         closedAt: Date.now(),
       };
-      closedHistory.unshift(rec);
-      if (closedHistory.length > MAX_HISTORY) closedHistory.length = MAX_HISTORY;
+      if (entry.encrypted) rec.encrypted = true; // value is ciphertext
+      closedHistory = pruneHistory([rec, ...closedHistory]);
       persistHistory();
     }
     function removeHistoryByHid(hid) {
@@ -95,75 +362,192 @@ function initializeEditor(customThemes = [], languages = []) {
         persistHistory();
       }
     }
+    function setHistoryPinned(hid, pinned) {
+      const item = closedHistory.find(r => r._hid === hid);
+      if (!item) return;
+      if (pinned) item.pinned = true;
+      else delete item.pinned;
+      // unpinning may put the entry past the limits
+      closedHistory = pruneHistory(closedHistory);
+      persistHistory();
+    }
+
+    // ---- Recently Closed: search and panel ----
+    const PREVIEW_CHARS = 90;
+    const historySearchQuery = () => (historySearch ? historySearch.value.trim().toLowerCase() : '');
+
+    // Day heading for a close time: Today, Yesterday, or the date.
+    const formatHistoryDay = (ms) => {
+      const day = new Date(ms).setHours(0, 0, 0, 0);
+      const today = new Date().setHours(0, 0, 0, 0);
+      if (day === today) return 'Today';
+      if (day === today - DAY_MS) return 'Yesterday';
+      return new Date(ms).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    };
+
+    // A one-line excerpt: around the first match of `query`, or the start of the text.
+    function historyPreview(item, query) {
+      if (item.encrypted) return { text: 'Encrypted', match: null };
+      const value = typeof item.value === 'string' ? item.value : '';
+      const at = query ? value.toLowerCase().indexOf(query) : -1;
+      if (at === -1) {
+        return { text: value.trim().replace(/\s+/g, ' ').slice(0, PREVIEW_CHARS) || 'Empty', match: null };
+      }
+      const from = Math.max(0, at - 30);
+      const before = (from > 0 ? '…' : '') + value.slice(from, at).replace(/\s+/g, ' ').trimStart();
+      const match = value.slice(at, at + query.length).replace(/\s+/g, ' ');
+      const after = value.slice(at + query.length, at + PREVIEW_CHARS).replace(/\s+/g, ' ');
+      return { text: before, match, after };
+    }
+
+    // Names always match; contents only when they are not encrypted.
+    const historyMatches = (item, query) => !query
+      || (item.name || '').toLowerCase().includes(query)
+      || (!item.encrypted && typeof item.value === 'string' && item.value.toLowerCase().includes(query));
+
+    function createHistoryRow(item, query) {
+      const row = document.createElement('div');
+      row.className = 'history-item' + (item.pinned ? ' pinned' : '');
+
+      const body = document.createElement('div');
+      body.className = 'body';
+      body.title = 'Reopen';
+      const title = document.createElement('span');
+      title.className = 'title';
+      const displayName = (item.name || '').trim() || 'Untitled';
+      title.textContent = displayName;
+      title.title = displayName;
+      const preview = document.createElement('span');
+      preview.className = 'preview' + (item.encrypted ? ' encrypted' : '');
+      const { text, match, after } = historyPreview(item, query);
+      preview.append(text);
+      if (match !== null) {
+        const mark = document.createElement('mark');
+        mark.textContent = match;
+        preview.append(mark, after);
+      }
+      body.append(title, preview);
+
+      const meta = document.createElement('span');
+      meta.className = 'meta';
+      const time = new Date(item.closedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+      meta.textContent = `${time} · ${item.encrypted ? '🔒 ' : ''}${item.language}`;
+
+      const pin = document.createElement('button');
+      pin.className = 'pin';
+      pin.textContent = '📌';
+      pin.title = item.pinned ? 'Unpin (allow it to expire)' : 'Pin (never remove automatically)';
+      pin.setAttribute('aria-pressed', item.pinned ? 'true' : 'false');
+
+      const del = document.createElement('button');
+      del.className = 'delete';
+      del.textContent = '×';
+      del.title = 'Remove from history';
+
+      body.addEventListener('click', () => {
+        removeHistoryByHid(item._hid);
+        createTab(item.name, item.language, item.value ?? defaultContent(), item.color, reopenOptions(item));
+        if (historyPanel) historyPanel.hidden = true;
+        focusEditorAtEnd();
+      });
+      pin.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setHistoryPinned(item._hid, !item.pinned);
+        renderHistory();
+      });
+      del.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeHistoryByHid(item._hid);
+        renderHistory();
+      });
+
+      row.append(body, meta, pin, del);
+      return row;
+    }
+
     function renderHistory() {
       if (!historyList) return;
       historyList.innerHTML = '';
-      if (!closedHistory.length) {
+      const query = historySearchQuery();
+      const results = closedHistory.filter(item => historyMatches(item, query));
+      if (!results.length) {
         const empty = document.createElement('div');
         empty.style.opacity = '0.7';
         empty.style.fontSize = '12px';
-        empty.textContent = 'No recently closed tabs.';
+        empty.textContent = closedHistory.length ? 'No closed tabs match.' : 'No recently closed tabs.';
         historyList.appendChild(empty);
         return;
       }
-      closedHistory.forEach((item, i) => {
-        const row = document.createElement('div');
-        row.className = 'history-item';
-
-        const title = document.createElement('span');
-        title.className = 'title';
-        const displayName = (item.name || '').trim() || 'Untitled';
-        title.textContent = displayName;
-        title.title = displayName;
-
-        const meta = document.createElement('span');
-        meta.className = 'meta';
-        meta.textContent = item.language;
-
-        const del = document.createElement('button');
-        del.className = 'delete';
-        del.textContent = '×';
-        del.title = 'Remove from history';
-
-        title.addEventListener('click', () => {
-          closedHistory.splice(i, 1);
-          persistHistory();
-          createTab(item.name, item.language, item.value ?? defaultContent(), item.color);
-          if (historyPanel) historyPanel.hidden = true;
-          focusEditorAtEnd();
-        });
+      // pinned entries first, then the rest grouped by the day they were closed
+      let heading = null;
+      [...results.filter(h => h.pinned), ...results.filter(h => !h.pinned)].forEach((item) => {
+        const group = item.pinned ? 'Pinned' : formatHistoryDay(item.closedAt);
+        if (group !== heading) {
+          heading = group;
+          const el = document.createElement('div');
+          el.className = 'history-day';
+          el.textContent = group;
+          historyList.appendChild(el);
+        }
+        historyList.appendChild(createHistoryRow(item, query));
+      });
+    }
 
-        del.addEventListener('click', (e) => {
-          e.stopPropagation();
-          closedHistory.splice(i, 1);
-          persistHistory();
-          renderHistory();
-        });
+    function renderHistoryRetention() {
+      const { count, days } = historyRetention();
+      if (historyMaxCount) historyMaxCount.value = String(count);
+      if (historyMaxAge) historyMaxAge.value = days ? String(days) : '';
+    }
 
-        row.appendChild(title);
-        row.appendChild(meta);
-        row.appendChild(del);
-        historyList.appendChild(row);
-      });
+    function applyHistoryRetention() {
+      localStorage.setItem('historyMaxCount', String(clampInt(historyMaxCount.value, 1, MAX_HISTORY_COUNT, DEFAULT_HISTORY_COUNT)));
+      localStorage.setItem('historyMaxAgeDays', String(clampInt(historyMaxAge.value || '0', 0, 3650, 0)));
+      renderHistoryRetention();
+      const pruned = pruneHistory(closedHistory);
+      if (pruned.length !== closedHistory.length) {
+        closedHistory = pruned;
+        persistHistory();
+      }
+      renderHistory();
     }
 
+    const openHistoryPanel = () => {
+      if (!historyPanel) return;
+      if (snapshotPanel) snapshotPanel.hidden = true;
+      historyPanel.hidden = false;
+      // catch up on entries that expired while the editor was open
+      const pruned = pruneHistory(closedHistory);
+      if (pruned.length !== closedHistory.length) {
+        closedHistory = pruned;
+        persistHistory();
+      }
+      renderHistoryRetention();
+      renderHistory();
+      historySearch?.focus();
+    };
+
     // Toggle panel
     historyBtn?.addEventListener('click', () => {
-      const willOpen = historyPanel.hidden;
-      historyPanel.hidden = !willOpen;
-      if (willOpen) renderHistory();
+      if (historyPanel.hidden) openHistoryPanel();
+      else historyPanel.hidden = true;
     });
     historyClear?.addEventListener('click', () => {
-      closedHistory = [];
+      closedHistory = closedHistory.filter(h => h.pinned);
       persistHistory();
       renderHistory();
     });
+    historySearch?.addEventListener('input', renderHistory);
+    historyMaxCount?.addEventListener('change', applyHistoryRetention);
+    historyMaxAge?.addEventListener('change', applyHistoryRetention);
     // Close panel on click-away / Escape
     document.addEventListener('click', (e) => {
-      if (!historyPanel || historyPanel.hidden) return;
       const t = e.target;
-      if (t === historyBtn) return;
-      if (!historyPanel.contains(t)) historyPanel.hidden = true;
+      if (historyPanel && !historyPanel.hidden && t !== historyBtn && !historyPanel.contains(t)) {
+        historyPanel.hidden = true;
+      }
+      if (snapshotPanel && !snapshotPanel.hidden && t !== snapshotsBtn && !snapshotPanel.contains(t)) {
+        snapshotPanel.hidden = true;
+      }
     });
     window.addEventListener('keydown', (e) => {
       if (e.key !== 'Escape' || e.defaultPrevented) return;
@@ -172,6 +556,13 @@ function initializeEditor(customThemes = [], languages = []) {
         historyPanel.hidden = true;
         handled = true;
       }
+      if (snapshotPanel && !snapshotPanel.hidden) {
+        snapshotPanel.hidden = true;
+        handled = true;
+      } else if (diffState) {
+        closeSnapshotDiff();
+        handled = true;
+      }
       if (colorPaletteState) {
         closeColorPalette();
         handled = true;
@@ -197,6 +588,10 @@ function initializeEditor(customThemes = [], languages = []) {
 
     // ---- Languages ----
     populateSelect(languageSelect, languages, 'editorLanguage', 'markdown');
+    const knownLanguages = new Set(languages.map(l => l.value));
+    // guesses from language-detect.js, limited to the languages offered here
+    const languageForFileName = name => languageFromFileName(name, monaco.languages.getLanguages().filter(l => knownLanguages.has(l.id)));
+    const extensionFor = language => extensionForLanguage(language, monaco.languages.getLanguages());
     // Compact selects to current option text
     const _selectMeasurer = document.createElement('span');
     _selectMeasurer.style.cssText = 'position:absolute;top:-9999px;left:-9999px;white-space:pre;visibility:hidden;';
@@ -214,57 +609,58 @@ function initializeEditor(customThemes = [], languages = []) {
     fitSelectWidth(languageSelect);
 
     // ---- Editor instance ----
-    const editor = monaco.editor.create(document.getElementById('editor-container'), {
+    // shared with secondary editors (diff views)
+    const fontOptions = { fontFamily: 'JetBrains Mono, monospace', fontSize: 14, lineHeight: 20 };
+    const editor = monaco.editor.create(editorContainer, {
       value: '', // will be replaced by active tab model
       language: 'markdown',
+      readOnly: !!store.readOnly, // saved data not upgraded (see the migration notice)
       theme: localStorage.getItem('editorTheme') || 'vs-dark',
       // Editor is placed below the tab bar; minimal top padding is enough
       padding: { top: 8 },
       automaticLayout: true,
-      fontFamily: 'JetBrains Mono, monospace',
+      ...fontOptions,
       formatOnType: true,
       formatOnPaste: true,
-      fontSize: 14,
-      lineHeight: 20,
       minimap: { enabled: true, side: "right", renderCharacters: false },
       quickSuggestions: { other: true, comments: true, strings: true },
       autoIndent: "full",
     });
 
     // ---- Tab State ----
-    const LS_TABS = 'tabsMetaV1';
-    const LS_ACTIVE = 'activeTabIdV1';
+    const TABS_KEY = 'tabsMetaV1';
+    const ACTIVE_KEY = 'activeTabIdV1';
+    const tabsKey = () => wsKey(currentWorkspaceId, TABS_KEY);
+    const activeKey = () => wsKey(currentWorkspaceId, ACTIVE_KEY);
 
     /** @type {{id:string,name:string,language:string,uri:string,color:string,_dirty?:boolean}[]} */
-    let tabs = safeParse(localStorage.getItem(LS_TABS), []);
-    let activeTabId = localStorage.getItem(LS_ACTIVE) || null;
+    let tabs = [];
+    let activeTabId = null;
     const models = new Map(); // id -> ITextModel
     let renameState = null;
     let pendingRenameId = null;
+    let applyingRemote = false; // true while applying a change made in another window
+    let reloadingFromFile = false; // true while a tab takes in its file's new content
+    let diffState = null; // open snapshot diff (see Snapshots)
 
     // Helpers
     const uuid = () => (crypto && crypto.randomUUID) ? crypto.randomUUID() : String(Date.now() + Math.random());
     const modelKey = id => `model:${id}`;
     const getTab = id => tabs.find(t => t.id === id);
     const getModel = (id) => models.get(id);
-    const normalizeColor = (input, fallback = DEFAULT_TAG_COLOR) => {
-      if (typeof input !== 'string') return fallback;
-      const hex = input.trim();
-      if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) {
-        const normalized = hex.length === 4
-          ? '#' + hex.slice(1).split('').map(c => c + c).join('')
-          : hex;
-        return normalized.toUpperCase();
-      }
-      return fallback;
-    };
-    const normalizeTabName = (input, maxLen = 120) => {
-      if (typeof input !== 'string') return '';
-      let name = input.replace(/[\u0000-\u001F\u007F]/g, '');
-      name = name.replace(/\s+/g, ' ').trim();
-      if (name.length > maxLen) name = name.slice(0, maxLen).trim();
-      return name;
+    // Shown in place of an encrypted tab's content until it is unlocked (see Encrypted tabs)
+    const lockedModel = monaco.editor.createModel(
+      'This tab is encrypted.\n\nClick the lock on the tab, or run “Encryption: Unlock Tabs…” from the command palette (F1), and enter your passphrase to see it.',
+      'plaintext',
+    );
+    const isLocked = tab => !!(tab && tab.encrypted && !models.has(tab.id));
+    const VAULT_KEY = 'vaultV1';
+    let vaultKey = null; // CryptoKey while unlocked
+    const getVault = () => {
+      const vault = store.get(VAULT_KEY);
+      return isVaultRecord(vault) ? vault : null;
     };
+    const encryptsNewTabs = () => !!getVault()?.encryptNewTabs;
     const setTabElActiveState = (el, isActive) => {
       if (!el) return;
       el.classList.toggle('active', !!isActive);
@@ -277,45 +673,51 @@ function initializeEditor(customThemes = [], languages = []) {
       return !!target.closest('.tab-color, .tab-color-palette, .close, .rename-input, button, input, select, textarea');
     };
 
-    if (!Array.isArray(tabs)) tabs = [];
-    let tabsNeedPersist = false;
-    tabs = tabs.filter(Boolean).map((tab) => {
-      const id = tab.id || uuid();
-      const color = normalizeColor(tab.color);
-      const name = normalizeTabName(typeof tab.name === 'string' ? tab.name : '');
-      const language = tab.language || 'markdown';
-      const uri = tab.uri || `inmemory://${id}`;
-      const normalized = {
-        ...tab,
-        id,
-        name,
-        language,
-        uri,
-        color,
-      };
-      if (tab.id !== normalized.id || tab.name !== normalized.name || tab.language !== normalized.language || tab.uri !== normalized.uri || tab.color !== normalized.color) {
-        tabsNeedPersist = true;
+    // ---- Per-tab view state (cursor, selections, scroll, folding) ----
+    // Kept in the tab metadata so it survives switching tabs and reloading.
+    const captureViewState = (id) => {
+      const tab = getTab(id);
+      const model = getModel(id);
+      if (!tab || !model || editor.getModel() !== model) return false;
+      tab.viewState = editor.saveViewState();
+      return true;
+    };
+    const restoreViewState = (tab) => {
+      if (!tab || !tab.viewState) return false;
+      try {
+        editor.restoreViewState(tab.viewState);
+        return true;
+      } catch (err) {
+        // stale or malformed state from an older session; fall back to the default
+        delete tab.viewState;
+        return false;
       }
-      return normalized;
-    });
+    };
+
     const setActive = (id) => {
       if (!id) return;
       if (renameState && renameState.tabId !== id) {
         commitRename({ focusEditor: false });
       }
       const prevId = activeTabId;
+      if (prevId !== id && captureViewState(prevId)) persistTabs();
+      if (diffState && diffState.tabId !== id) closeSnapshotDiff();
       activeTabId = id;
-      localStorage.setItem(LS_ACTIVE, id);
+      persistActive(id);
       closeColorPalette();
       const prevEl = tabsHostEl?.querySelector(`.tab[data-id="${prevId}"]`);
       setTabElActiveState(prevEl, false);
       const nextEl = tabsHostEl?.querySelector(`.tab[data-id="${id}"]`);
       setTabElActiveState(nextEl, true);
+      applyTabFilter(); // the active tab always shows; the one left may not
       const tab = getTab(id);
       const model = ensureModel(tab);
       editor.setModel(model);
+      editor.updateOptions({ readOnly: !!store.readOnly || model === lockedModel });
+      const restored = model !== lockedModel && restoreViewState(tab);
       languageSelect.value = tab.language;
       fitSelectWidth(languageSelect);
+      updateLanguageSelectTitle();
       // ensure the active tab is visible when switching
       ensureActiveTabVisible();
       if (pendingRenameId === id) {
@@ -324,41 +726,75 @@ function initializeEditor(customThemes = [], languages = []) {
         if (nameEl) startInlineRename(tab, nameEl);
         return;
       }
-      // keep typing flow seamless when switching tabs; put caret at end
-      focusEditorAtEnd();
+      if (restored) {
+        editor.focus();
+      } else {
+        // keep typing flow seamless for tabs without a saved position; put caret at end
+        focusEditorAtEnd();
+      }
     };
     const ensureModel = (tab) => {
       let m = getModel(tab.id);
       if (m) return m;
-      const uri = monaco.Uri.parse(tab.uri);
-      const value = localStorage.getItem(modelKey(tab.id)) ?? defaultContent();
-      m = monaco.editor.createModel(value, tab.language, uri);
+      // until unsealTabs() decrypts it; empty content is stored unencrypted
+      if (tab.encrypted && store.get(modelKey(tab.id))) return lockedModel;
+      const value = store.get(modelKey(tab.id)) ?? defaultContent();
+      m = createTabModel(tab, value);
       models.set(tab.id, m);
       return m;
     };
-    const persistTabs = () => localStorage.setItem(LS_TABS, JSON.stringify(tabs));
-
-    if (tabsNeedPersist) { persistTabs(); }
+    // Monaco guesses the line ending from the text; a tab's own choice wins
+    // (a single line has nothing to guess from).
+    const eolSequence = eol => (eol === 'CRLF' ? monaco.editor.EndOfLineSequence.CRLF : monaco.editor.EndOfLineSequence.LF);
+    function createTabModel(tab, value) {
+      const model = monaco.editor.createModel(value, tab.language, monaco.Uri.parse(tab.uri));
+      if (tab.eol) model.setEOL(eolSequence(tab.eol));
+      return model;
+    }
+    // _dirty is runtime-only state
+    const tabMeta = ({ _dirty, ...rest }) => rest;
+    const persistTabs = () => {
+      const meta = tabs.map(tabMeta);
+      if (applyingRemote) { store.prime(tabsKey(), meta); return; }
+      store.set(tabsKey(), meta).catch(err => reportStorageError('tab list', err));
+    };
+    const persistActive = (id) => {
+      // a change from another window moves our selection, not the one it stored
+      if (applyingRemote) return;
+      store.set(activeKey(), id).catch(err => reportStorageError('active tab', err));
+    };
 
     function defaultContent() { return ''; }
 
-    // ---- Create first tab if none ----
-    if (!Array.isArray(tabs) || tabs.length === 0) {
-      const id = uuid();
-      tabs = [{
-        id,
-        name: '',
-        language: localStorage.getItem('editorLanguage') || 'markdown',
-        uri: `inmemory://${id}`,
-        color: DEFAULT_TAG_COLOR,
-      }];
-      persistTabs();
-      activeTabId = id;
-      localStorage.setItem(LS_ACTIVE, id);
-    } else if (!activeTabId || !getTab(activeTabId)) {
-      activeTabId = tabs[0].id;
-      localStorage.setItem(LS_ACTIVE, activeTabId);
+    // Read the current workspace's tabs and its active tab. Stored records are
+    // normalized by the migrations (migrations.js); this only guards the session
+    // against anything they couldn't fix, without writing it back.
+    function loadWorkspaceTabs() {
+      let stored = store.get(tabsKey(), []);
+      if (!Array.isArray(stored)) stored = [];
+      tabs = stored.filter(tab => tab && typeof tab === 'object').map(normalizeTabMeta);
+      activeTabId = store.get(activeKey()) || null;
+
+      // ---- Create first tab if none ----
+      if (tabs.length === 0) {
+        const id = uuid();
+        tabs = [{
+          id,
+          name: '',
+          language: localStorage.getItem('editorLanguage') || 'markdown',
+          uri: `inmemory://${id}`,
+          color: DEFAULT_TAG_COLOR,
+        }];
+        if (encryptsNewTabs()) tabs[0].encrypted = true;
+        persistTabs();
+        activeTabId = id;
+        persistActive(id);
+      } else if (!activeTabId || !getTab(activeTabId)) {
+        activeTabId = tabs[0].id;
+        persistActive(activeTabId);
+      }
     }
+    loadWorkspaceTabs();
 
     // Build models for all tabs lazily on switch; ensure active is ready
     ensureModel(getTab(activeTabId));
@@ -366,131 +802,2730 @@ function initializeEditor(customThemes = [], languages = []) {
     setActive(activeTabId); // sets model on editor
 
     // ---- Saving (per-model) with debounce; background-only, no UI rebuild ----
+    // A failed write keeps the tab dirty and is retried with exponential backoff.
+    const SAVE_DEBOUNCE_MS = 700;
+    const SAVE_RETRY_BASE_MS = 2000;
+    const SAVE_RETRY_MAX_MS = 60000;
     const saveTimeouts = new Map(); // id -> timeout
+    const saveFailures = new Map(); // id -> consecutive failed attempts
+
+    const tabLabel = (tab) => (tab && tab.name) ? `“${tab.name}”` : 'the untitled tab';
+
+    // Resolves once the write has landed or failed (failures are reported and retried here).
+    const writeTab = (id) => {
+      const model = getModel(id);
+      const tab = getTab(id);
+      // while another window's edit is unresolved, hold our writes back (the tab stays dirty)
+      if (!model || !tab || conflicts.has(id)) return Promise.resolve();
+      if (tab.encrypted && !vaultKey) {
+        // held back like a failed write until the passphrase is entered (unlocking retries it)
+        saveFailures.set(id, (saveFailures.get(id) || 0) + 1);
+        showNotice('save', {
+          kind: 'error',
+          message: `Unlock your encrypted tabs to save ${tabLabel(tab)}.`,
+          actions: [{ label: 'Unlock…', run: () => unlockTabs() }],
+        });
+        return Promise.resolve();
+      }
+      const version = model.getAlternativeVersionId();
+      const value = model.getValue();
+      const base = syncedTokens.get(id)?.token;
+      const ws = currentWorkspaceId; // may change before the write completes
+      const encrypted = !!tab.encrypted;
+      return (encrypted ? sealText(value) : Promise.resolve(value)).then((stored) => {
+        // encryption was switched on or off meanwhile, and that change wrote the content
+        if (!!getTab(id)?.encrypted !== encrypted) return;
+        return store.set(modelKey(id), stored).then(() => stored);
+      }).then((stored) => {
+        if (stored === undefined) return;
+        const token = uuid();
+        syncedTokens.set(id, { token, own: true });
+        broadcast({ type: 'content', id, value: stored, token, base, ws });
+        const hadFailed = saveFailures.delete(id);
+        // mark clean without rebuilding the whole tabbar, unless edits arrived meanwhile
+        if (!model.isDisposed() && model.getAlternativeVersionId() === version) setTabDirty(id, false);
+        if (hadFailed && !saveFailures.size) {
+          showNotice('save', { kind: 'info', message: 'All tabs saved.', timeout: 2500 });
+        }
+        refreshStorageMeter();
+      }).catch((err) => {
+        if (!getTab(id)) return;
+        const attempt = (saveFailures.get(id) || 0) + 1;
+        saveFailures.set(id, attempt);
+        const delay = Math.min(SAVE_RETRY_MAX_MS, SAVE_RETRY_BASE_MS * 2 ** (attempt - 1));
+        console.error('Failed to save tab:', err);
+        showNotice('save', {
+          kind: 'error',
+          message: `Couldn't save ${tabLabel(getTab(id))}: ${describeStorageError(err)}. Retrying in ${Math.round(delay / 1000)}s.`,
+          actions: [{ label: 'Retry now', run: () => retrySaves() }],
+        });
+        refreshStorageMeter();
+        clearTimeout(saveTimeouts.get(id));
+        saveTimeouts.set(id, setTimeout(() => { saveTimeouts.delete(id); writeTab(id); }, delay));
+      });
+    };
+
+    const cancelSave = (id) => {
+      clearTimeout(saveTimeouts.get(id));
+      saveTimeouts.delete(id);
+      if (saveFailures.delete(id) && !saveFailures.size) clearNotice('save');
+    };
+
+    const retrySaves = () => {
+      [...saveFailures.keys()].forEach((id) => {
+        clearTimeout(saveTimeouts.get(id));
+        saveTimeouts.delete(id);
+        writeTab(id);
+      });
+    };
 
     const scheduleSave = () => {
       const id = activeTabId;
-      const model = editor.getModel();
-      if (!model) return;
-      const value = model.getValue();
+      if (!editor.getModel()) return;
+      // a pending retry will pick up the latest content; keep its backoff
+      if (saveFailures.has(id) && saveTimeouts.has(id)) return;
 
       // debounce per-tab
       const prev = saveTimeouts.get(id);
       if (prev) clearTimeout(prev);
-      const to = setTimeout(() => {
-        localStorage.setItem(modelKey(id), value);
-        setTabDirty(id, false); // mark clean without rebuilding the whole tabbar
-        saveTimeouts.delete(id);
-      }, 700);
-      saveTimeouts.set(id, to);
+      saveTimeouts.set(id, setTimeout(() => { saveTimeouts.delete(id); writeTab(id); }, SAVE_DEBOUNCE_MS));
     };
 
-    // ---- Export helpers ----
-    const sanitizeExportName = (value) => {
-      const trimmed = normalizeTabName(value || '');
-      const clean = trimmed.replace(/[\u0000-\u001F\u007F/\\?%*:|"<>;=']/g, '_').trim();
-      return clean || 'document';
-    };
+    // Don't lose the last keystrokes to the debounce when the page goes away
+    window.addEventListener('pagehide', () => {
+      [...saveTimeouts.keys()].forEach((id) => {
+        clearTimeout(saveTimeouts.get(id));
+        saveTimeouts.delete(id);
+        writeTab(id);
+      });
+    });
 
-    const ensureTxtExt = (name) => {
-      const n = (name || '').trim();
-      if (!n) return 'document.txt';
-      return n.toLowerCase().endsWith('.txt') ? n : `${n}.txt`;
-    };
+    refreshStorageMeter();
 
-    const defaultFileName = () => {
-      const tab = getTab(activeTabId);
-      const dateSuffix = new Date().toISOString().replace(/[:.]/g, '-');
-      return `${sanitizeExportName(tab?.name || 'document')}-${dateSuffix}.txt`;
+    // ---- Cross-window sync ----
+    // Tab list changes travel as operations. Content is announced only after it
+    // has been committed to storage, tagged with a token and the token it was
+    // based on, so edits made concurrently in two windows are detected.
+    const syncedTokens = new Map(); // id -> { token, own } for the content last saved or adopted here
+    const conflicts = new Map();    // id -> unresolved remote content message
+
+    const asRemote = (fn) => {
+      const prev = applyingRemote;
+      applyingRemote = true;
+      try { return fn(); } finally { applyingRemote = prev; }
     };
+    const syncChannel = createSyncChannel('simple-monaco-editor', msg => asRemote(() => handleSyncMessage(msg)));
+    const broadcast = (msg) => { if (!applyingRemote && !store.readOnly) syncChannel.post({ ws: currentWorkspaceId, ...msg }); };
 
-    function base64EncodeUtf8(str) {
-      const bytes = new TextEncoder().encode(str);
-      let binary = '';
-      const chunk = 0x8000;
-      for (let i = 0; i < bytes.length; i += chunk) {
-        binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+    function handleSyncMessage(msg) {
+      if (msg.ws !== currentWorkspaceId && ['tab-created', 'tab-closed', 'tab-updated', 'tabs-reordered', 'content'].includes(msg.type)) {
+        // another workspace: tab contents are keyed by tab id, so keep our cache current
+        if (msg.type === 'content' || msg.type === 'tab-created') store.prime(modelKey(msg.id || msg.tab?.id), msg.value);
+        if (msg.type === 'tab-closed') {
+          store.prime(modelKey(msg.id), undefined);
+          store.prime(snapshotKey(msg.id), undefined);
+          store.prime(fileKey(msg.id), undefined);
+        }
+        return;
+      }
+      switch (msg.type) {
+        case 'tab-created': applyRemoteTabCreated(msg); break;
+        case 'tab-closed': applyRemoteTabClosed(msg); break;
+        case 'tab-updated': applyRemoteTabUpdated(msg); break;
+        case 'tabs-reordered': applyRemoteTabOrder(msg); break;
+        case 'content': applyRemoteContent(msg); break;
+        case 'snapshots':
+          if (!Array.isArray(msg.snapshots)) break;
+          persistSnapshots(msg.id, msg.snapshots);
+          if (msg.id === activeTabId && snapshotPanel && !snapshotPanel.hidden) renderSnapshots();
+          break;
+        case 'workspaces': applyRemoteWorkspaces(msg); break;
+        case 'vault':
+          if (isVaultRecord(msg.vault)) store.prime(VAULT_KEY, msg.vault);
+          break;
+        case 'history':
+          if (!Array.isArray(msg.history)) break;
+          if (msg.key !== historyKey()) { store.prime(msg.key, msg.history); break; }
+          closedHistory = msg.history;
+          persistHistory();
+          if (historyPanel && !historyPanel.hidden) renderHistory();
+          break;
+        default: break;
       }
-      return btoa(binary);
     }
 
-    async function saveToHomeViaBTT(fileName, text) {
-      const safeName = ensureTxtExt(sanitizeExportName(fileName));
-      const b64 = base64EncodeUtf8(text);
+    function applyRemoteTabCreated({ tab, value, index }) {
+      if (!tab || !tab.id || getTab(tab.id)) return;
+      const meta = { ...tab };
+      const at = Math.max(0, Math.min(Number.isInteger(index) ? index : tabs.length, tabs.length));
+      const nextEl = tabsHostEl?.querySelectorAll('.tab')[at] || null;
+      tabs.splice(at, 0, meta);
+      store.prime(modelKey(meta.id), value ?? defaultContent());
+      persistTabs();
+      // insert just this tab so an inline rename in progress is left alone
+      if (groupByColor && !renameState) updateTabbar();
+      else tabsHostEl?.insertBefore(createTabEl(meta), nextEl);
+      applyTabFilter();
+      if (meta.encrypted && vaultKey) unsealTabs([meta]);
+    }
+
+    function applyRemoteTabClosed({ id }) {
+      const idx = tabs.findIndex(t => t.id === id);
+      if (idx === -1 || tabs.length === 1) return;
+      const tab = tabs[idx];
+      if (renameState && renameState.tabId === id) cancelRename({ focusEditor: false });
+      if (colorPaletteState && colorPaletteState.tabId === id) closeColorPalette();
+      const model = getModel(id);
+      const unsaved = (tab._dirty && model) ? model.getValue() : null;
+      clearConflict(id);
+      clearFileConflict(id);
+      cancelSave(id);
+      if (diffState && diffState.tabId === id) closeSnapshotDiff();
+      if (model) { model.dispose(); models.delete(id); }
+      syncedTokens.delete(id);
+      store.prime(modelKey(id), undefined);
+      store.prime(snapshotKey(id), undefined);
+      store.prime(fileKey(id), undefined);
+      tabs.splice(idx, 1);
+      persistTabs();
+      tabsHostEl?.querySelector(`.tab[data-id="${id}"]`)?.remove();
+      if (id === activeTabId) {
+        const next = tabs[idx] || tabs[idx - 1];
+        setActive(next.id);
+      }
+      applyTabFilter();
+      if (unsaved !== null) {
+        // edits that never reached storage survive in a fresh tab (created outside the remote context)
+        setTimeout(() => {
+          createTab(tab.name, tab.language, unsaved, tab.color, { encrypted: !!tab.encrypted });
+          showNotice(`closed:${id}`, {
+            kind: 'warn',
+            message: `Another window closed ${tabLabel(tab)}; your unsaved changes were kept in a new tab.`,
+            timeout: 8000,
+          });
+        }, 0);
+      }
+    }
 
-      const script = `python3 - <<'PY'
-import base64, pathlib, re
+    function applyRemoteTabUpdated({ id, patch }) {
+      const tab = getTab(id);
+      if (!tab || !patch) return;
+      if (typeof patch.name === 'string') {
+        renameTab(id, patch.name, { skipDom: !!(renameState && renameState.tabId === id) });
+      }
+      if (typeof patch.color === 'string') setTabColor(id, patch.color);
+      if (typeof patch.language === 'string') setTabLanguage(id, patch.language);
+      if (typeof patch.encrypted === 'boolean') applyRemoteEncryption(tab, patch.encrypted);
+      if ('file' in patch) applyRemoteFile(tab, patch.file);
+      if (typeof patch.languageLocked === 'boolean') setLanguageLocked(id, patch.languageLocked);
+      if (typeof patch.pinned === 'boolean') setTabPinned(id, patch.pinned);
+      if (patch.eol === 'LF' || patch.eol === 'CRLF') setTabEol(id, patch.eol);
+      if (typeof patch.encoding === 'string') setTabEncoding(id, patch.encoding);
+    }
 
-home = pathlib.Path.home()
+    // The sender announces encryption before the ciphertext and plain text
+    // before dropping encryption, so the stored content always matches the flag.
+    function applyRemoteEncryption(tab, encrypted) {
+      if (!!tab.encrypted === encrypted) return;
+      if (encrypted) tab.encrypted = true;
+      else delete tab.encrypted;
+      persistTabs();
+      const model = getModel(tab.id);
+      if (encrypted) {
+        store.prime(snapshotKey(tab.id), undefined);
+        // without the key this window can't keep it open; lock it unless it has edits to lose
+        if (model && !vaultKey && !tab._dirty) {
+          if (diffState && diffState.tabId === tab.id) closeSnapshotDiff();
+          if (captureViewState(tab.id)) persistTabs();
+          model.dispose();
+          models.delete(tab.id);
+          if (tab.id === activeTabId) setActive(tab.id);
+        }
+      } else if (!model && tab.id === activeTabId) {
+        setActive(tab.id); // it was locked here; show the plain text
+      }
+      refreshTabEl(tab.id);
+    }
 
-name = """${safeName}"""
-name = re.sub(r"[\\\\/]", "_", name).strip() or "document.txt"
-if not name.lower().endswith(".txt"):
-    name += ".txt"
+    function applyRemoteContent(msg) {
+      const { id, value } = msg;
+      const tab = getTab(id);
+      if (!tab || typeof value !== 'string') return;
+      if (tab.encrypted) {
+        if (!getModel(id) || !vaultKey) {
+          // locked here: nothing to compare with, just keep the cache current
+          syncedTokens.set(id, { token: msg.token, own: false });
+          store.prime(modelKey(id), value);
+          return;
+        }
+        openText(value)
+          .then(plain => asRemote(() => applyRemoteText({ ...msg, value: plain, stored: value })))
+          .catch(() => {
+            // plain text sent just before encryption is removed (see applyRemoteEncryption)
+            syncedTokens.set(id, { token: msg.token, own: false });
+            store.prime(modelKey(id), value);
+          });
+        return;
+      }
+      applyRemoteText(msg);
+    }
 
-data = base64.b64decode("""${b64}""")
+    // `value` is the text to show; `stored` (when set) is the ciphertext that was written.
+    function applyRemoteText(msg) {
+      const { id, value, token, base } = msg;
+      const tab = getTab(id);
+      if (!tab) return;
+      const mine = syncedTokens.get(id);
+      // we saved a version the sender had not seen: both windows wrote from the same base
+      const concurrent = !!(mine && mine.own && mine.token !== base);
+      if (tab._dirty || concurrent || conflicts.has(id)) {
+        showConflict(id, msg);
+        return;
+      }
+      adoptRemoteContent(id, value, token, msg.stored);
+    }
 
-path = home / name
-stem, suffix = path.stem, path.suffix
-i = 1
-while path.exists():
-    path = home / f"{stem}-{i}{suffix}"
-    i += 1
+    function adoptRemoteContent(id, value, token, stored = value) {
+      syncedTokens.set(id, { token, own: false });
+      store.prime(modelKey(id), stored);
+      const model = getModel(id);
+      if (model && model.getValue() !== value) replaceModelContent(model, value);
+      setTabDirty(id, false);
+    }
 
-path.write_bytes(data)
-print(str(path))
-PY`;
+    // Replace a model's text with a single minimal edit so the cursor and
+    // scroll position survive and the change can be undone.
+    function replaceModelContent(model, value) {
+      const current = model.getValue();
+      const max = Math.min(current.length, value.length);
+      let start = 0;
+      while (start < max && current.charCodeAt(start) === value.charCodeAt(start)) start++;
+      let end = 0;
+      while (end < max - start && current.charCodeAt(current.length - 1 - end) === value.charCodeAt(value.length - 1 - end)) end++;
+      const range = monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(current.length - end));
+      model.pushEditOperations([], [{ range, text: value.slice(start, value.length - end) }], () => null);
+    }
 
-      const result = await window.runShellScript({
-        script,
-        launchPath: '/bin/bash',
-        parameters: '-c',
+    function showConflict(id, msg) {
+      conflicts.set(id, msg);
+      showNotice(`conflict:${id}`, {
+        kind: 'warn',
+        message: `Another window changed ${tabLabel(getTab(id))} while it had unsaved edits here.`,
+        dismissible: false,
+        actions: [
+          { label: 'Keep mine', run: () => resolveConflict(id, 'mine') },
+          { label: 'Use theirs', run: () => resolveConflict(id, 'theirs') },
+          { label: 'Keep both', run: () => resolveConflict(id, 'both') },
+        ],
       });
+    }
 
-      if (typeof window.display_notification === 'function') {
-        await window.display_notification({
-          title: 'Saved',
-          subTitle: (result || '').trim(),
+    function clearConflict(id) {
+      conflicts.delete(id);
+      clearNotice(`conflict:${id}`);
+    }
+
+    function resolveConflict(id, choice) {
+      const msg = conflicts.get(id);
+      clearConflict(id);
+      const tab = getTab(id);
+      if (!msg || !tab) return;
+      if (choice === 'theirs') {
+        cancelSave(id);
+        asRemote(() => adoptRemoteContent(id, msg.value, msg.token, msg.stored));
+        // our own write may have landed after theirs; make sure storage holds their version
+        store.set(modelKey(id), msg.stored ?? msg.value).catch(err => reportStorageError('tab', err));
+        return;
+      }
+      if (choice === 'both') {
+        createTab(`${tab.name || 'Untitled'} (other window)`, tab.language, msg.value, tab.color, { encrypted: !!tab.encrypted });
+      }
+      // keep mine: write our version on top of theirs
+      syncedTokens.set(id, { token: msg.token, own: false });
+      cancelSave(id);
+      writeTab(id);
+    }
+
+    // ---- Encrypted tabs ----
+    // Tabs flagged `encrypted` keep their content, and their copies in the
+    // recently closed list, as AES-GCM ciphertext (see vault.js); empty
+    // content is stored as is. The key lives only in memory, so after a reload
+    // these tabs stay locked until the passphrase is entered again. Their
+    // snapshots are not kept, since those would hold plain text.
+    const sealText = value => (value ? encryptText(vaultKey, value) : Promise.resolve(value));
+    const openText = stored => (stored ? decryptText(vaultKey, stored) : Promise.resolve(''));
+    // createTab() options for bringing back a closed tab (its value may be ciphertext)
+    const reopenOptions = entry => (entry.encrypted ? { encrypted: true, sealed: true } : {});
+
+    function persistVault(vault) {
+      store.set(VAULT_KEY, vault).catch(err => reportStorageError('encryption settings', err));
+      broadcast({ type: 'vault', vault });
+    }
+
+    function passphraseForm({ repeat = false } = {}) {
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const field = (label) => {
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.autocomplete = repeat ? 'new-password' : 'current-password';
+        input.placeholder = label;
+        input.setAttribute('aria-label', label);
+        body.appendChild(input);
+        return input;
+      };
+      const first = field('Passphrase');
+      const second = repeat ? field('Repeat passphrase') : null;
+      return { body, read: () => ({ passphrase: first.value, repeated: second ? second.value : first.value }) };
+    }
+
+    // Resolves true once the key is available, asking for the passphrase (or
+    // for a new one, the first time) when needed.
+    async function ensureVaultKey() {
+      if (vaultKey) return true;
+      if (!isVaultSupported()) {
+        showNotice('vault', { kind: 'error', message: 'Encryption needs the Web Crypto API, which this browser only offers on https:// or local pages.' });
+        return false;
+      }
+      // another window may have set the passphrase since we loaded
+      await store.reload([VAULT_KEY]).catch(() => {});
+      const vault = getVault();
+      let message = vault
+        ? 'Enter the passphrase for your encrypted tabs.'
+        : 'Choose a passphrase for your encrypted tabs. It cannot be recovered: if you forget it, their contents are lost.';
+      for (;;) {
+        const form = passphraseForm({ repeat: !vault });
+        const ok = await openDialog({
+          title: vault ? 'Unlock encrypted tabs' : 'Set a passphrase',
+          message,
+          body: form.body,
+          buttons: [{ label: 'Cancel', value: false }, { label: vault ? 'Unlock' : 'Set passphrase', value: true, primary: true }],
         });
+        if (!ok) return false;
+        if (vaultKey) return true; // unlocked from another prompt meanwhile
+        const { passphrase, repeated } = form.read();
+        if (!passphrase) { message = 'The passphrase can\'t be empty.'; continue; }
+        if (passphrase !== repeated) { message = 'The passphrases don\'t match. Try again.'; continue; }
+        try {
+          if (vault) {
+            const key = await unlockVault(vault, passphrase);
+            if (!key) { message = 'Wrong passphrase. Try again.'; continue; }
+            vaultKey = key;
+          } else {
+            const { record, key } = await createVault(passphrase);
+            await store.set(VAULT_KEY, record);
+            broadcast({ type: 'vault', vault: record });
+            vaultKey = key;
+          }
+        } catch (err) {
+          reportStorageError('encryption settings', err);
+          return false;
+        }
+        clearNotice('vault');
+        unsealTabs(tabs);
+        retrySaves(); // edits held back until the key was available
+        return true;
       }
+    }
 
-      return result;
+    // Decrypt locked tabs into models.
+    async function unsealTabs(list) {
+      const key = vaultKey;
+      await Promise.all(list.filter(isLocked).map(async (tab) => {
+        let value;
+        try {
+          value = await openText(store.get(modelKey(tab.id)) ?? '');
+        } catch (err) {
+          console.error('Failed to decrypt tab:', err);
+          showNotice(`decrypt:${tab.id}`, { kind: 'error', message: `Couldn't decrypt ${tabLabel(tab)}; its stored data may be damaged.` });
+          return;
+        }
+        // locked again, closed or already opened meanwhile
+        if (vaultKey !== key || getTab(tab.id) !== tab || models.has(tab.id)) return;
+        models.set(tab.id, createTabModel(tab, value));
+        refreshTabEl(tab.id);
+        if (tab.id === activeTabId) setActive(tab.id);
+      }));
     }
 
-    const saveCurrentTextAsFile = async () => {
-      if (typeof window.runShellScript !== 'function') return;
-      const value = editor.getModel()?.getValue() ?? '';
-      const finalName = defaultFileName();
+    async function unlockTabs() {
+      if (!getVault()) {
+        showNotice('vault', { message: 'No tabs are encrypted yet.', timeout: 3000 });
+        return;
+      }
+      if (await ensureVaultKey()) await unsealTabs(tabs);
+    }
+
+    // Forget the key and close the contents of encrypted tabs, once their edits are stored.
+    async function lockTabs() {
+      if (!vaultKey) return;
+      const open = tabs.filter(t => t.encrypted && models.has(t.id));
+      await Promise.all(open.filter(t => t._dirty).map((t) => { cancelSave(t.id); return writeTab(t.id); }));
+      const unsaved = open.filter(t => t._dirty);
+      if (unsaved.length) {
+        showNotice('vault', {
+          kind: 'error',
+          message: `Not locked: ${unsaved.map(tabLabel).join(', ')} could not be saved.`,
+        });
+        return;
+      }
+      if (captureViewState(activeTabId)) persistTabs();
+      vaultKey = null;
+      open.forEach((tab) => {
+        const model = getModel(tab.id);
+        if (!model || tab._dirty) return; // edited while the writes were running
+        if (diffState && diffState.tabId === tab.id) closeSnapshotDiff();
+        model.dispose();
+        models.delete(tab.id);
+        refreshTabEl(tab.id);
+      });
+      if (isLocked(getTab(activeTabId))) setActive(activeTabId);
+      showNotice('vault', { message: 'Encrypted tabs locked.', timeout: 2500 });
+    }
+
+    // Switch encryption for one tab of this workspace. The content and the
+    // flag are written together, so storage never holds ciphertext marked as
+    // plain text or the other way round.
+    async function setTabEncrypted(id, encrypted) {
+      if (!!getTab(id)?.encrypted === encrypted) return true;
+      if (!await ensureVaultKey()) return false;
+      const tab = getTab(id);
+      if (!tab) return false;
+      if (!!tab.encrypted === encrypted) return true;
+      if (isLocked(tab)) await unsealTabs([tab]);
+      const model = ensureModel(tab);
+      if (model === lockedModel || getTab(id) !== tab) return false;
+      if (conflicts.has(id)) {
+        showNotice('vault', { kind: 'error', message: `Resolve the conflicting change to ${tabLabel(tab)} first.` });
+        return false;
+      }
+      cancelSave(id);
+      const version = model.getAlternativeVersionId();
+      let stored;
       try {
-        await saveToHomeViaBTT(finalName, value);
+        stored = encrypted ? await sealText(model.getValue()) : model.getValue();
       } catch (err) {
-        console.error('BTT save failed:', err);
+        showNotice('vault', { kind: 'error', message: `Couldn't encrypt ${tabLabel(tab)}: ${err.message}.` });
+        return false;
       }
-    };
-
-    editor.onDidChangeModelContent(() => {
-      // mark dirty immediately for active tab without full rerender
-      const t = getTab(activeTabId);
-      if (t && !t._dirty) { setTabDirty(t.id, true); }
-      scheduleSave();
-    });
+      if (getTab(id) !== tab || getModel(id) !== model || !!tab.encrypted === encrypted) return false;
+      const meta = tabs.map((t) => {
+        const m = tabMeta(t);
+        if (t.id === id) {
+          if (encrypted) m.encrypted = true;
+          else delete m.encrypted;
+        }
+        return m;
+      });
+      const ops = [{ key: modelKey(id), value: stored }, { key: tabsKey(), value: meta }];
+      if (encrypted) ops.push({ key: snapshotKey(id), remove: true });
+      try {
+        await store.batch(ops);
+      } catch (err) {
+        reportStorageError('encrypted tab', err);
+        return false;
+      }
+      if (encrypted) tab.encrypted = true;
+      else delete tab.encrypted;
+
+      const base = syncedTokens.get(id)?.token;
+      const token = uuid();
+      syncedTokens.set(id, { token, own: true });
+      const content = { type: 'content', id, value: stored, token, base };
+      const patch = { type: 'tab-updated', id, patch: { encrypted } };
+      // see applyRemoteEncryption for why the order matters
+      if (encrypted) {
+        broadcast(patch);
+        broadcast(content);
+        broadcast({ type: 'snapshots', id, snapshots: [] });
+      } else {
+        broadcast(content);
+        broadcast(patch);
+      }
+      if (model.getAlternativeVersionId() === version) setTabDirty(id, false);
+      else writeTab(id);
+      refreshTabEl(id);
+      if (id === activeTabId && snapshotPanel && !snapshotPanel.hidden) renderSnapshots();
+      return true;
+    }
+
+    async function encryptTab(id) {
+      const tab = getTab(id);
+      if (!tab || tab.encrypted) return;
+      if (getSnapshots(id).length) {
+        const ok = await openDialog({
+          title: 'Encrypt tab',
+          message: `Encrypting ${tabLabel(tab)} deletes its snapshots, which are stored as plain text.`,
+          buttons: [{ label: 'Cancel', value: false }, { label: 'Encrypt', value: true, primary: true }],
+        });
+        if (!ok) return;
+      }
+      if (await setTabEncrypted(id, true)) showNotice('vault', { message: `${tabLabel(tab)} is now encrypted.`, timeout: 3000 });
+    }
+
+    // Encrypt everything stored: every tab of every workspace, the recently
+    // closed lists, and tabs created from now on.
+    async function encryptEverything() {
+      const ok = await openDialog({
+        title: 'Encrypt all tabs',
+        message: 'Encrypts every tab in every workspace and the recently closed lists, and encrypts new tabs from now on. Snapshots of these tabs are deleted.',
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Encrypt all', value: true, primary: true }],
+      });
+      if (!ok || !await ensureVaultKey()) return;
+      persistVault({ ...getVault(), encryptNewTabs: true });
+      let failed = 0;
+      for (const tab of [...tabs]) {
+        if (!await setTabEncrypted(tab.id, true)) failed++;
+      }
+      try {
+        await encryptOtherWorkspaces();
+        await encryptClosedHistories();
+      } catch (err) {
+        reportStorageError('encrypted tabs', err);
+        return;
+      }
+      showNotice('vault', failed
+        ? { kind: 'error', message: `${failed} tab${failed === 1 ? '' : 's'} could not be encrypted.` }
+        : { message: 'All tabs are encrypted.', timeout: 3000 });
+    }
+
+    async function encryptOtherWorkspaces() {
+      for (const ws of workspaces) {
+        if (ws.id === currentWorkspaceId) continue;
+        const key = wsKey(ws.id, TABS_KEY);
+        await store.reload([key]);
+        const list = store.get(key, []);
+        const pending = (Array.isArray(list) ? list : []).filter(t => t && t.id && !t.encrypted);
+        if (!pending.length) continue;
+        await store.reload(pending.map(t => modelKey(t.id)));
+        const sealed = new Map();
+        for (const t of pending) sealed.set(t.id, await sealText(store.get(modelKey(t.id)) ?? defaultContent()));
+        const ops = [...sealed].flatMap(([id, value]) => [{ key: modelKey(id), value }, { key: snapshotKey(id), remove: true }]);
+        ops.push({ key, value: list.map(t => (sealed.has(t?.id) ? { ...t, encrypted: true } : t)) });
+        await store.batch(ops);
+        sealed.forEach((value, id) => {
+          broadcast({ type: 'tab-updated', ws: ws.id, id, patch: { encrypted: true } });
+          broadcast({ type: 'content', ws: ws.id, id, value, token: uuid() });
+        });
+      }
+    }
+
+    async function encryptClosedHistories() {
+      const keys = new Set([HISTORY_KEY, ...workspaces.filter(w => w.ownHistory).map(w => wsKey(w.id, HISTORY_KEY))]);
+      for (const key of keys) {
+        await store.reload([key]);
+        const list = key === historyKey() ? closedHistory : store.get(key, []);
+        if (!Array.isArray(list) || list.every(h => h.encrypted)) continue;
+        const sealed = [];
+        for (const h of list) sealed.push(h.encrypted ? h : { ...h, value: await sealText(h.value ?? ''), encrypted: true });
+        if (key === historyKey()) {
+          closedHistory = sealed;
+          persistHistory();
+        } else {
+          await store.set(key, sealed);
+          broadcast({ type: 'history', key, history: sealed });
+        }
+      }
+      closedStack.length = 0; // may hold plain-text copies of closed tabs
+    }
+
+    editor.addAction({ id: 'encryption.encryptTab', label: 'Encryption: Encrypt Tab…', run: () => { encryptTab(activeTabId); } });
+    editor.addAction({ id: 'encryption.decryptTab', label: 'Encryption: Remove Tab Encryption', run: () => { setTabEncrypted(activeTabId, false); } });
+    editor.addAction({ id: 'encryption.encryptAll', label: 'Encryption: Encrypt All Tabs…', run: () => { encryptEverything(); } });
+    editor.addAction({
+      id: 'encryption.stopNewTabs',
+      label: 'Encryption: Stop Encrypting New Tabs',
+      run: () => {
+        if (!encryptsNewTabs()) return;
+        persistVault({ ...getVault(), encryptNewTabs: false });
+        showNotice('vault', { message: 'New tabs are no longer encrypted. Existing encrypted tabs stay encrypted.', timeout: 4000 });
+      },
+    });
+    editor.addAction({ id: 'encryption.unlock', label: 'Encryption: Unlock Tabs…', run: () => { unlockTabs(); } });
+    editor.addAction({ id: 'encryption.lock', label: 'Encryption: Lock Tabs', run: () => { lockTabs(); } });
+
+    // ---- Snapshots (per-tab timeline) ----
+    // Automatic snapshots are taken periodically for tabs whose content changed;
+    // named snapshots are taken on demand and are never pruned.
+    const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+    const MAX_AUTO_SNAPSHOTS = 30;
+    const snapshotKey = id => `snapshots:${id}`;
+
+    const getSnapshots = (id) => {
+      const list = store.get(snapshotKey(id), []);
+      return Array.isArray(list) ? list : [];
+    };
+
+    function persistSnapshots(id, list) {
+      if (applyingRemote) { store.prime(snapshotKey(id), list); return; }
+      store.set(snapshotKey(id), list)
+        .then(refreshStorageMeter)
+        .catch(err => reportStorageError('snapshots', err));
+      broadcast({ type: 'snapshots', id, snapshots: list });
+    }
+
+    function takeSnapshot(id, { name = '', auto = false } = {}) {
+      const tab = getTab(id);
+      if (!tab || tab.encrypted) return null;
+      const model = getModel(id);
+      const value = model ? model.getValue() : store.get(modelKey(id));
+      if (typeof value !== 'string') return null;
+      const list = getSnapshots(id);
+      if (auto && list.length && list[0].value === value) return null;
+      const snap = { sid: uuid(), at: Date.now(), name: normalizeTabName(name), auto, value };
+      // newest first; only the oldest automatic snapshots beyond the cap are dropped
+      let autoCount = 0;
+      const next = [snap, ...list].filter(s => !s.auto || ++autoCount <= MAX_AUTO_SNAPSHOTS);
+      persistSnapshots(id, next);
+      return snap;
+    }
+
+    function deleteSnapshot(id, sid) {
+      persistSnapshots(id, getSnapshots(id).filter(s => s.sid !== sid));
+    }
+
+    setInterval(() => {
+      // only loaded models can have changed since the last snapshot
+      models.forEach((model, id) => { if (getTab(id)) takeSnapshot(id, { auto: true }); });
+    }, SNAPSHOT_INTERVAL_MS);
+
+    const formatTimestamp = (ms) => new Date(ms).toLocaleString(undefined, {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+    });
+
+    function renderSnapshots() {
+      if (!snapshotList) return;
+      snapshotList.innerHTML = '';
+      const list = getSnapshots(activeTabId);
+      if (!list.length) {
+        const empty = document.createElement('div');
+        empty.style.opacity = '0.7';
+        empty.style.fontSize = '12px';
+        empty.textContent = getTab(activeTabId)?.encrypted
+          ? 'Snapshots are not kept for encrypted tabs.'
+          : 'No snapshots of this tab yet.';
+        snapshotList.appendChild(empty);
+        return;
+      }
+      list.forEach((snap) => {
+        const row = document.createElement('div');
+        row.className = 'history-item snapshot-item';
+
+        const title = document.createElement('span');
+        title.className = 'title' + (snap.name ? '' : ' auto');
+        title.textContent = snap.name || 'Auto snapshot';
+        title.title = 'Compare with current content';
+
+        const meta = document.createElement('span');
+        meta.className = 'meta';
+        meta.textContent = formatTimestamp(snap.at);
+
+        const del = document.createElement('button');
+        del.className = 'delete';
+        del.textContent = '×';
+        del.title = 'Delete snapshot';
+
+        title.addEventListener('click', () => {
+          snapshotPanel.hidden = true;
+          openSnapshotDiff(activeTabId, snap);
+        });
+        del.addEventListener('click', (e) => {
+          e.stopPropagation();
+          deleteSnapshot(activeTabId, snap.sid);
+          renderSnapshots();
+        });
+
+        row.appendChild(title);
+        row.appendChild(meta);
+        row.appendChild(del);
+        snapshotList.appendChild(row);
+      });
+    }
+
+    const openSnapshotPanel = ({ focusName = false } = {}) => {
+      if (!snapshotPanel) return;
+      if (historyPanel) historyPanel.hidden = true;
+      snapshotPanel.hidden = false;
+      renderSnapshots();
+      if (focusName) snapshotName?.focus();
+    };
+    snapshotsBtn?.addEventListener('click', () => {
+      if (snapshotPanel.hidden) openSnapshotPanel();
+      else snapshotPanel.hidden = true;
+    });
+    snapshotForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = normalizeTabName(snapshotName.value) || `Snapshot ${formatTimestamp(Date.now())}`;
+      if (takeSnapshot(activeTabId, { name })) snapshotName.value = '';
+      renderSnapshots();
+    });
+
+    // ---- Snapshot diff viewer ----
+    const formatLineRange = (a, b) => (a === b ? `line ${a}` : `lines ${a}–${b}`);
+    const describeLineChange = (c) => {
+      if (c.originalEndLineNumber === 0) return `Added ${formatLineRange(c.modifiedStartLineNumber, c.modifiedEndLineNumber)}`;
+      if (c.modifiedEndLineNumber === 0) return `Removed ${formatLineRange(c.originalStartLineNumber, c.originalEndLineNumber)}`;
+      return `Changed ${formatLineRange(c.modifiedStartLineNumber, c.modifiedEndLineNumber)}`;
+    };
+
+    function openSnapshotDiff(tabId, snap) {
+      closeSnapshotDiff();
+      const tab = getTab(tabId);
+      if (!tab || !diffOverlay) return;
+      const modified = ensureModel(tab);
+      const original = monaco.editor.createModel(snap.value, tab.language);
+      diffOverlay.hidden = false;
+      const diffEditor = monaco.editor.createDiffEditor(diffContainer, {
+        ...fontOptions,
+        automaticLayout: true,
+        originalEditable: false,
+        renderMarginRevertIcon: true,
+      });
+      diffEditor.setModel({ original, modified });
+      diffTitle.textContent = `${snap.name || 'Auto snapshot'} · ${formatTimestamp(snap.at)}  ↔  current`;
+      diffTitle.title = diffTitle.textContent;
+      const onUpdate = diffEditor.onDidUpdateDiff(renderHunks);
+      diffState = { diffEditor, original, tabId, snap, disposables: [onUpdate] };
+      diffEditor.getModifiedEditor().focus();
+    }
+
+    function closeSnapshotDiff() {
+      if (!diffState) return;
+      const { diffEditor, original, disposables } = diffState;
+      diffState = null;
+      disposables.forEach(d => d.dispose());
+      diffEditor.dispose();
+      original.dispose(); // the modified side is the tab's live model
+      diffOverlay.hidden = true;
+      diffHunks.innerHTML = '';
+      editor.focus();
+    }
+
+    function renderHunks() {
+      if (!diffState) return;
+      const changes = diffState.diffEditor.getLineChanges() || [];
+      diffHunks.innerHTML = '';
+      diffRestoreSelected.disabled = true;
+      if (!changes.length) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = 'No differences.';
+        diffHunks.appendChild(empty);
+        return;
+      }
+      changes.forEach((change, i) => {
+        const row = document.createElement('label');
+        row.className = 'diff-hunk';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.dataset.index = String(i);
+        box.addEventListener('change', () => {
+          diffRestoreSelected.disabled = !diffHunks.querySelector('input:checked');
+        });
+        const text = document.createElement('span');
+        text.textContent = describeLineChange(change);
+        text.addEventListener('click', (e) => {
+          e.preventDefault(); // reveal instead of toggling the checkbox
+          const line = change.modifiedStartLineNumber || 1;
+          diffState.diffEditor.getModifiedEditor().revealLineInCenter(line);
+        });
+        row.appendChild(box);
+        row.appendChild(text);
+        diffHunks.appendChild(row);
+      });
+    }
+
+    // Edit that turns one modified-side hunk back into the snapshot's lines.
+    function revertEditForChange(original, modified, c) {
+      const eol = modified.getEOL();
+      const originalText = c.originalEndLineNumber === 0 ? '' : original.getValueInRange(new monaco.Range(
+        c.originalStartLineNumber, 1, c.originalEndLineNumber, original.getLineMaxColumn(c.originalEndLineNumber)));
+      if (c.modifiedEndLineNumber === 0) {
+        // lines only in the snapshot: insert them after modifiedStartLineNumber
+        if (c.modifiedStartLineNumber === 0) {
+          return { range: new monaco.Range(1, 1, 1, 1), text: originalText + eol };
+        }
+        const col = modified.getLineMaxColumn(c.modifiedStartLineNumber);
+        return { range: new monaco.Range(c.modifiedStartLineNumber, col, c.modifiedStartLineNumber, col), text: eol + originalText };
+      }
+      if (c.originalEndLineNumber === 0) {
+        // lines only in the current content: delete them including their line break
+        const last = modified.getLineCount();
+        if (c.modifiedEndLineNumber < last) {
+          return { range: new monaco.Range(c.modifiedStartLineNumber, 1, c.modifiedEndLineNumber + 1, 1), text: '' };
+        }
+        if (c.modifiedStartLineNumber > 1) {
+          const prev = c.modifiedStartLineNumber - 1;
+          return { range: new monaco.Range(prev, modified.getLineMaxColumn(prev), last, modified.getLineMaxColumn(last)), text: '' };
+        }
+        return { range: modified.getFullModelRange(), text: '' };
+      }
+      return {
+        range: new monaco.Range(c.modifiedStartLineNumber, 1, c.modifiedEndLineNumber, modified.getLineMaxColumn(c.modifiedEndLineNumber)),
+        text: originalText,
+      };
+    }
+
+    function restoreFromSnapshot({ selectedOnly }) {
+      if (!diffState) return;
+      const { diffEditor, original, tabId, snap } = diffState;
+      const modified = getModel(tabId);
+      if (!modified) return;
+      // keep the current content recoverable beyond undo; named, so the cap on automatic snapshots leaves it
+      takeSnapshot(tabId, { name: 'Before restore' });
+      if (!selectedOnly) {
+        replaceModelContent(modified, snap.value);
+        closeSnapshotDiff();
+        showNotice('snapshot', { message: `Restored snapshot “${snap.name || formatTimestamp(snap.at)}”.`, timeout: 3000 });
+        return;
+      }
+      const changes = diffEditor.getLineChanges() || [];
+      const edits = [...diffHunks.querySelectorAll('input:checked')]
+        .map(box => changes[Number(box.dataset.index)])
+        .filter(Boolean)
+        .map(c => revertEditForChange(original, modified, c));
+      if (edits.length) modified.pushEditOperations([], edits, () => null);
+    }
+
+    diffRestoreAll?.addEventListener('click', () => restoreFromSnapshot({ selectedOnly: false }));
+    diffRestoreSelected?.addEventListener('click', () => restoreFromSnapshot({ selectedOnly: true }));
+    diffClose?.addEventListener('click', () => closeSnapshotDiff());
+
+    editor.addAction({
+      id: 'snapshots.take',
+      label: 'Take Snapshot of Tab…',
+      run: () => openSnapshotPanel({ focusName: true }),
+    });
+    editor.addAction({
+      id: 'snapshots.show',
+      label: 'Show Snapshots of Tab',
+      run: () => openSnapshotPanel(),
+    });
+
+    // ---- Export helpers ----
+    const sanitizeExportName = (value) => {
+      const trimmed = normalizeTabName(value || '');
+      const clean = trimmed.replace(/[\u0000-\u001F\u007F/\\?%*:|"<>;=']/g, '_').trim();
+      return clean || 'document';
+    };
+
+    // Export file names follow a template (localStorage `exportNameTemplate`)
+    // with {name}, {date} and {language} fields. The extension comes from the
+    // tab's language, unless the tab name already ends in one (e.g. "app.log").
+    const DEFAULT_EXPORT_TEMPLATE = '{name}-{date}';
+    const exportNameTemplate = () => localStorage.getItem('exportNameTemplate') || DEFAULT_EXPORT_TEMPLATE;
+
+    function exportFileName(tab, template = exportNameTemplate()) {
+      const name = (tab?.name || '').trim();
+      // a typed extension is kept when it names a language or has a letter, so "Release 2.0" isn't one
+      const candidate = /[^.\s](\.[A-Za-z0-9_+-]{1,10})$/.exec(name)?.[1] || '';
+      const typed = candidate && (/[A-Za-z]/.test(candidate) || languageForFileName(name)) ? candidate : '';
+      const language = tab?.language || 'plaintext';
+      const fields = {
+        name: (typed ? name.slice(0, -typed.length) : name) || 'document',
+        date: new Date().toISOString().replace(/[:.]/g, '-'),
+        language,
+      };
+      const expanded = template.replace(/\{(name|date|language)\}/g, (_, field) => fields[field]);
+      return sanitizeExportName(expanded) + (typed || extensionFor(language));
+    }
+
+    const defaultFileName = () => exportFileName(getTab(activeTabId));
+
+    async function editExportNameTemplate() {
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = exportNameTemplate();
+      input.placeholder = DEFAULT_EXPORT_TEMPLATE;
+      input.setAttribute('aria-label', 'File name template');
+      const preview = document.createElement('p');
+      preview.className = 'hint';
+      const update = () => {
+        preview.textContent = `Example: ${exportFileName(getTab(activeTabId), input.value.trim() || DEFAULT_EXPORT_TEMPLATE)}`;
+      };
+      input.addEventListener('input', update);
+      update();
+      body.append(input, preview);
+      const choice = await openDialog({
+        title: 'Export file names',
+        message: 'Use {name}, {date} and {language} in the template. The extension is added from the tab’s language, or kept from the tab name.',
+        body,
+        buttons: [
+          { label: 'Reset', value: 'reset' },
+          { label: 'Cancel', value: null },
+          { label: 'Save', value: 'save', primary: true },
+        ],
+      });
+      const template = input.value.trim();
+      if (choice === 'reset' || (choice === 'save' && (!template || template === DEFAULT_EXPORT_TEMPLATE))) {
+        localStorage.removeItem('exportNameTemplate');
+      } else if (choice === 'save') {
+        localStorage.setItem('exportNameTemplate', template);
+      }
+    }
+    editor.addAction({ id: 'export.nameTemplate', label: 'Export: File Name Template…', run: () => { editExportNameTemplate(); } });
+
+    // ---- Save button (save-backends.js) ----
+    // localStorage `saveBackend` holds the chosen backend; without it the
+    // first one available here is used.
+    const SAVE_BACKEND_KEY = 'saveBackend';
+    const currentSaveBackend = () => pickSaveBackend(localStorage.getItem(SAVE_BACKEND_KEY) || 'auto');
+
+    function updateSaveButtonTitle() {
+      if (!saveButton) return;
+      const label = `Save current text: ${currentSaveBackend().label} (right click to change)`;
+      saveButton.title = label;
+      saveButton.setAttribute('aria-label', label);
+    }
+
+    let savingFile = false;
+    const saveCurrentTextAsFile = async (backend = currentSaveBackend()) => {
+      if (savingFile) return;
+      if (editor.getModel() === lockedModel) {
+        showNotice('vault', { message: 'Unlock this tab to save it as a file.', actions: [{ label: 'Unlock…', run: () => unlockTabs() }] });
+        return;
+      }
+      const tab = getTab(activeTabId);
+      const value = editor.getModel()?.getValue() ?? '';
+      if (tab && !canEncode(tab, value)) return;
+      const finalName = defaultFileName();
+      savingFile = true;
+      saveButton?.classList.add('busy');
+      try {
+        const where = await backend.save(finalName, encodeText(value, tabEncoding(tab)));
+        if (where) showNotice('save-file', { message: `Saved to ${where}.`, timeout: 3000 });
+      } catch (err) {
+        console.error(`Save (${backend.id}) failed:`, err);
+        const actions = [{ label: 'Retry', run: () => saveCurrentTextAsFile(backend) }];
+        const download = saveBackends.find(b => b.id === 'download');
+        if (backend !== download) actions.push({ label: 'Download instead', run: () => saveCurrentTextAsFile(download) });
+        showNotice('save-file', { kind: 'error', message: `Couldn't save ${finalName}: ${err.message || err}.`, actions });
+      } finally {
+        savingFile = false;
+        saveButton?.classList.remove('busy');
+      }
+    };
+
+    async function chooseSaveBackend() {
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', 'Save to');
+      const auto = document.createElement('option');
+      auto.value = 'auto';
+      auto.textContent = `Automatic (${pickSaveBackend().label})`;
+      select.appendChild(auto);
+      saveBackends.forEach((backend) => {
+        const opt = document.createElement('option');
+        opt.value = backend.id;
+        opt.textContent = backend.isAvailable() ? backend.label : `${backend.label} (not available here)`;
+        opt.disabled = !backend.isAvailable();
+        select.appendChild(opt);
+      });
+      const stored = localStorage.getItem(SAVE_BACKEND_KEY);
+      select.value = saveBackends.some(b => b.id === stored && b.isAvailable()) ? stored : 'auto';
+      body.appendChild(select);
+      const ok = await openDialog({
+        title: 'Save button',
+        message: 'Where should ⤓ save the current text?',
+        body,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Save', value: true, primary: true }],
+      });
+      if (!ok) return;
+      if (select.value === 'auto') localStorage.removeItem(SAVE_BACKEND_KEY);
+      else localStorage.setItem(SAVE_BACKEND_KEY, select.value);
+      updateSaveButtonTitle();
+    }
+
+    updateSaveButtonTitle();
+    saveButton?.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      chooseSaveBackend();
+    });
+    editor.addAction({ id: 'save.chooseBackend', label: 'Save Button: Choose Where to Save…', run: () => { chooseSaveBackend(); } });
+
+    // Persist the active tab's view state shortly after the cursor or scroll position settles
+    const VIEW_STATE_SAVE_MS = 1000;
+    let viewStateTimeout = null;
+    const scheduleViewStateSave = () => {
+      clearTimeout(viewStateTimeout);
+      viewStateTimeout = setTimeout(() => {
+        viewStateTimeout = null;
+        if (captureViewState(activeTabId)) persistTabs();
+      }, VIEW_STATE_SAVE_MS);
+    };
+    editor.onDidChangeCursorSelection(scheduleViewStateSave);
+    editor.onDidScrollChange(scheduleViewStateSave);
+    window.addEventListener('pagehide', () => {
+      clearTimeout(viewStateTimeout);
+      if (captureViewState(activeTabId)) persistTabs();
+    });
+
+    // Read a user-picked file (or files) through a throwaway <input type="file">.
+    function pickFiles({ accept = '', multiple = false } = {}) {
+      return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.multiple = multiple;
+        input.addEventListener('change', () => resolve([...(input.files || [])]));
+        input.addEventListener('cancel', () => resolve([]));
+        input.click();
+      });
+    }
+
+    // ---- HTML export and printing ----
+    // Monaco's colorizer marks tokens up with classes (mtk1, mtk2, …) whose
+    // colors live in the stylesheet Monaco generates for the current theme;
+    // those rules are copied so the page looks the same on its own.
+    const escapeHtml = text => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+    function tokenColorCss() {
+      const css = [...document.querySelectorAll('style.monaco-colors')].map(el => el.textContent).join('\n');
+      return (css.match(/\.mtk[a-z0-9]+\s*\{[^}]*\}/g) || []).join('\n');
+    }
+
+    // The selected lines of the active tab, or all of it, as a standalone page
+    // with line numbers. Resolves with null for a locked tab.
+    async function renderTabHtml(id) {
+      const tab = getTab(id);
+      const model = getModel(id);
+      if (!tab || !model) return null;
+      const selection = id === activeTabId ? editor.getSelection() : null;
+      const partial = selection && !selection.isEmpty();
+      const firstLine = partial ? selection.startLineNumber : 1;
+      const lastLine = partial ? selection.endLineNumber : model.getLineCount();
+      const lines = [];
+      for (let n = firstLine; n <= lastLine; n++) lines.push(model.getLineContent(n));
+
+      const colorized = await monaco.editor.colorize(lines.join('\n'), tab.language, { tabSize: model.getOptions().tabSize });
+      const rendered = colorized.replace(/^<div class="monaco-tokenized-source">|<\/div>$/g, '').split('<br/>');
+      const body = lines.map((line, i) => {
+        // a form feed asks for a new page, as in plain text printing
+        const cls = line.startsWith('\f') ? 'line page-break' : 'line';
+        return `<div class="${cls}"><span>${rendered[i] || ''}</span></div>`;
+      }).join('\n');
+
+      const { colors, bg, fg } = resolveThemeColors(themeSelect.value, customThemes);
+      const pageBg = opaqueHex(bg);
+      const lineNumberColor = colors['editorLineNumber.foreground'] || mixHex(fg, pageBg, 0.5);
+      const title = tab.name || 'Untitled';
+      const heading = partial ? `${title} (lines ${firstLine}–${lastLine})` : title;
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(heading)}</title>
+<style>
+body { margin: 24px; background: ${pageBg}; color: ${fg}; font: 13px/1.5 'JetBrains Mono', ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+h1 { font-size: 14px; font-weight: 600; margin: 0 0 12px; }
+.code { counter-reset: line ${firstLine - 1}; }
+.line { display: flex; }
+.line::before {
+  counter-increment: line;
+  content: counter(line);
+  flex: 0 0 ${String(lastLine).length + 1}ch;
+  padding-right: 1.5ch;
+  text-align: right;
+  color: ${lineNumberColor};
+  user-select: none;
+}
+.line > span { min-width: 0; white-space: pre-wrap; overflow-wrap: anywhere; }
+@page { margin: 15mm; }
+@media print {
+  body { margin: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  h1 { break-after: avoid; }
+  .line { break-inside: avoid; }
+  .line.page-break { break-before: page; }
+}
+${tokenColorCss()}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(heading)}</h1>
+<div class="code">
+${body}
+</div>
+</body>
+</html>
+`;
+    }
+
+    function reportLockedExport() {
+      showNotice('vault', { message: 'Unlock this tab to export or print it.', actions: [{ label: 'Unlock…', run: () => unlockTabs() }] });
+    }
+
+    async function exportTabAsHtml() {
+      const tab = getTab(activeTabId);
+      const html = await renderTabHtml(activeTabId);
+      if (html === null) { reportLockedExport(); return; }
+      downloadBlob(`${exportFileName(tab)}.html`, new Blob([html], { type: 'text/html;charset=utf-8' }));
+    }
+
+    // Prints from a hidden frame, so only the code ends up on paper.
+    async function printTab() {
+      const html = await renderTabHtml(activeTabId);
+      if (html === null) { reportLockedExport(); return; }
+      const frame = document.createElement('iframe');
+      frame.style.cssText = 'position:fixed;width:0;height:0;border:0;visibility:hidden;';
+      frame.addEventListener('load', () => {
+        const win = frame.contentWindow;
+        win.addEventListener('afterprint', () => setTimeout(() => frame.remove(), 0));
+        win.focus();
+        win.print();
+      }, { once: true });
+      frame.srcdoc = html;
+      document.body.appendChild(frame);
+    }
+
+    editor.addAction({ id: 'export.html', label: 'Export as HTML', run: () => { exportTabAsHtml(); } });
+    editor.addAction({
+      id: 'export.print',
+      label: 'Print…',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyP],
+      run: () => { printTab(); },
+    });
+
+    // ---- ZIP export ----
+    // Every chosen tab becomes a file named after the tab, with an extension
+    // for its language; manifest.json records each file's tab name, language
+    // and color tag.
+    const ZIP_FORMAT = 'simple-monaco-editor/tabs';
+
+    // Dialog body: which tabs to export, by color or one by one.
+    // `scope` preselects 'all', a color, or 'custom'.
+    function zipExportForm({ scope: initialScope = 'all' } = {}) {
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const scope = document.createElement('select');
+      scope.setAttribute('aria-label', 'Tabs to export');
+      const addOption = (value, text, color) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        if (color) opt.style.color = color;
+        scope.appendChild(opt);
+      };
+      addOption('all', 'All tabs');
+      const colors = [...new Set(tabs.map(t => normalizeColor(t.color)))];
+      colors.forEach((color) => {
+        const n = tabs.filter(t => normalizeColor(t.color) === color).length;
+        addOption(color, `● ${color} (${n} tab${n === 1 ? '' : 's'})`, color);
+      });
+      addOption('custom', 'Chosen tabs');
+      body.appendChild(scope);
+
+      const list = document.createElement('div');
+      list.className = 'zip-tab-list';
+      const boxes = tabs.map((tab) => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = !isLocked(tab);
+        box.disabled = isLocked(tab);
+        box.dataset.id = tab.id;
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = normalizeColor(tab.color);
+        label.append(box, swatch, ` ${tab.name || 'Untitled'}${isLocked(tab) ? ' (locked)' : tab.encrypted ? ' 🔒' : ''}`);
+        list.appendChild(label);
+        box.addEventListener('change', () => { scope.value = 'custom'; update(); });
+        return box;
+      });
+      body.appendChild(list);
+
+      const hint = document.createElement('p');
+      hint.className = 'hint';
+      body.appendChild(hint);
+      const update = () => {
+        const chosen = boxes.filter(b => b.checked).map(b => getTab(b.dataset.id));
+        const notes = [`${chosen.length} of ${tabs.length} tabs.`];
+        if (chosen.some(t => t.encrypted)) notes.push('Encrypted tabs are written as plain text.');
+        if (tabs.some(isLocked)) notes.push('Unlock encrypted tabs to include the locked ones.');
+        hint.textContent = notes.join(' ');
+      };
+      const applyScope = () => {
+        if (scope.value === 'custom') return;
+        boxes.forEach((box) => {
+          const tab = getTab(box.dataset.id);
+          box.checked = !box.disabled && (scope.value === 'all' || normalizeColor(tab.color) === scope.value);
+        });
+        update();
+      };
+      scope.addEventListener('change', applyScope);
+      if ([...scope.options].some(o => o.value === initialScope)) scope.value = initialScope;
+      applyScope();
+      update();
+      return { body, read: () => boxes.filter(b => b.checked).map(b => b.dataset.id) };
+    }
+
+    async function exportTabsAsZip({ scope = 'all' } = {}) {
+      commitRename({ focusEditor: false });
+      const form = zipExportForm({ scope });
+      const ok = await openDialog({
+        title: 'Export tabs as ZIP',
+        body: form.body,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Export', value: true, primary: true }],
+      });
+      if (!ok) return;
+      const chosen = form.read().map(getTab).filter(tab => tab && !isLocked(tab));
+      if (!chosen.length) {
+        showNotice('zip', { message: 'No tabs were chosen.', timeout: 3000 });
+        return;
+      }
+      const used = new Set(['manifest.json']);
+      const uniqueName = (name) => {
+        const dot = name.lastIndexOf('.');
+        const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+        let candidate = name;
+        for (let i = 2; used.has(candidate.toLowerCase()); i++) candidate = `${stem}-${i}${ext}`;
+        used.add(candidate.toLowerCase());
+        return candidate;
+      };
+      const files = [];
+      const manifest = [];
+      chosen.forEach((tab) => {
+        const file = uniqueName(exportFileName(tab, '{name}'));
+        files.push({ name: file, data: tabContent(tab.id) });
+        manifest.push({ file, name: tab.name, language: tab.language, color: normalizeColor(tab.color) });
+      });
+      files.push({
+        name: 'manifest.json',
+        data: JSON.stringify({
+          format: ZIP_FORMAT,
+          version: 1,
+          exportedAt: new Date().toISOString(),
+          workspace: currentWorkspace().name,
+          files: manifest,
+        }, null, 2),
+      });
+      try {
+        const zip = await createZip(files);
+        const dateSuffix = new Date().toISOString().replace(/[:.]/g, '-');
+        downloadBlob(`monaco-tabs-${dateSuffix}.zip`, zip);
+        showNotice('zip', { message: `Exported ${chosen.length} tab${chosen.length === 1 ? '' : 's'} (${formatBytes(zip.size)}).`, timeout: 4000 });
+      } catch (err) {
+        console.error('ZIP export failed:', err);
+        showNotice('zip', { kind: 'error', message: `Couldn't create the ZIP file: ${err.message}.` });
+      }
+    }
+
+    editor.addAction({ id: 'export.zip', label: 'Export Tabs as ZIP…', run: () => { exportTabsAsZip(); } });
+
+    // ---- Session export / import ----
+    // A session bundle is one JSON file holding every tab with its content,
+    // the recently closed list and the UI preferences.
+    const SESSION_FORMAT = 'simple-monaco-editor/session';
+    const SESSION_VERSION = 1;
+    const knownThemes = new Set(themes.map(t => t.value));
+
+    const tabContent = (id) => {
+      const model = getModel(id);
+      return model ? model.getValue() : (store.get(modelKey(id)) ?? defaultContent());
+    };
+
+    // Encrypted tabs are left out unless `includeEncrypted`; then they are
+    // exported as plain text (locked ones need the key to be available).
+    async function buildSessionBundle({ includeEncrypted = false } = {}) {
+      const sessionTabs = [];
+      for (const t of tabs) {
+        if (t.encrypted && !includeEncrypted) continue;
+        const value = isLocked(t) ? await openText(store.get(modelKey(t.id)) ?? '') : tabContent(t.id);
+        sessionTabs.push({
+          id: t.id, name: t.name, language: t.language, color: t.color, value,
+          ...(t.languageLocked ? { languageLocked: true } : {}),
+          ...(t.pinned ? { pinned: true } : {}),
+          ...(t.eol ? { eol: t.eol } : {}),
+          ...(t.encoding ? { encoding: t.encoding } : {}),
+        });
+      }
+      const history = [];
+      for (const { _hid, name, language, value, color, closedAt, pinned, encrypted } of closedHistory) {
+        if (encrypted && !includeEncrypted) continue;
+        history.push({ _hid, name, language, value: encrypted ? await openText(value) : value, color, closedAt, pinned: !!pinned });
+      }
+      return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        exportedAt: new Date().toISOString(),
+        activeTabId,
+        tabs: sessionTabs,
+        closedHistory: history,
+        preferences: {
+          editorTheme: localStorage.getItem('editorTheme'),
+          editorLanguage: localStorage.getItem('editorLanguage'),
+          historyMaxCount: historyRetention().count,
+          historyMaxAgeDays: historyRetention().days,
+        },
+      };
+    }
+
+    async function exportSession() {
+      const encryptedCount = tabs.filter(t => t.encrypted).length + closedHistory.filter(h => h.encrypted).length;
+      let includeEncrypted = false;
+      if (encryptedCount) {
+        const choice = await openDialog({
+          title: 'Export session',
+          message: `${encryptedCount} of the tabs and closed tabs are encrypted. The session file is not; include them as plain text?`,
+          buttons: [
+            { label: 'Cancel', value: null },
+            { label: 'Include as plain text', value: 'include' },
+            { label: 'Leave them out', value: 'skip', primary: true },
+          ],
+        });
+        if (!choice) return;
+        includeEncrypted = choice === 'include';
+        if (includeEncrypted && !await ensureVaultKey()) return;
+      }
+      let bundle;
+      try {
+        bundle = await buildSessionBundle({ includeEncrypted });
+      } catch (err) {
+        showNotice('session', { kind: 'error', message: `Couldn't decrypt the encrypted tabs for export: ${err.message}.` });
+        return;
+      }
+      const json = JSON.stringify(bundle, null, 2);
+      const dateSuffix = new Date().toISOString().replace(/[:.]/g, '-');
+      downloadBlob(`monaco-session-${dateSuffix}.json`, new Blob([json], { type: 'application/json' }));
+    }
+
+    // Validate a parsed bundle; throws with a readable message when it can't be used.
+    function parseSessionBundle(bundle) {
+      if (!bundle || typeof bundle !== 'object' || bundle.format !== SESSION_FORMAT) {
+        throw new Error('not a session export');
+      }
+      if (!Number.isInteger(bundle.version) || bundle.version > SESSION_VERSION) {
+        throw new Error(`unsupported session version ${bundle.version}`);
+      }
+      const sessionTabs = (Array.isArray(bundle.tabs) ? bundle.tabs : [])
+        .filter(t => t && typeof t === 'object')
+        .map((t) => {
+          const meta = normalizeTabMeta({ id: typeof t.id === 'string' ? t.id : '', name: t.name, language: t.language, color: t.color });
+          if (!knownLanguages.has(meta.language)) meta.language = 'markdown';
+          if (t.languageLocked === true) meta.languageLocked = true;
+          if (t.pinned === true) meta.pinned = true;
+          if (t.eol === 'LF' || t.eol === 'CRLF') meta.eol = t.eol;
+          if (isEncoding(t.encoding) && t.encoding !== DEFAULT_ENCODING) meta.encoding = t.encoding;
+          return { ...meta, value: typeof t.value === 'string' ? t.value : defaultContent() };
+        });
+      const history = (Array.isArray(bundle.closedHistory) ? bundle.closedHistory : [])
+        .filter(h => h && typeof h === 'object')
+        .map(h => ({
+          _hid: typeof h._hid === 'string' && h._hid ? h._hid : uuid(),
+          name: normalizeTabName(typeof h.name === 'string' ? h.name : ''),
+          language: knownLanguages.has(h.language) ? h.language : 'markdown',
+          value: typeof h.value === 'string' ? h.value : '',
+          color: normalizeColor(h.color),
+          closedAt: Number.isFinite(h.closedAt) ? h.closedAt : Date.now(),
+          ...(h.pinned === true ? { pinned: true } : {}),
+        }));
+      if (!sessionTabs.length && !history.length) throw new Error('the session has no tabs');
+      const prefs = bundle.preferences && typeof bundle.preferences === 'object' ? bundle.preferences : {};
+      return {
+        tabs: sessionTabs,
+        history,
+        activeTabId: typeof bundle.activeTabId === 'string' ? bundle.activeTabId : null,
+        preferences: {
+          editorTheme: knownThemes.has(prefs.editorTheme) ? prefs.editorTheme : null,
+          editorLanguage: knownLanguages.has(prefs.editorLanguage) ? prefs.editorLanguage : null,
+          historyMaxCount: Number.isInteger(prefs.historyMaxCount) ? clampInt(prefs.historyMaxCount, 1, MAX_HISTORY_COUNT, null) : null,
+          historyMaxAgeDays: Number.isInteger(prefs.historyMaxAgeDays) ? clampInt(prefs.historyMaxAgeDays, 0, 3650, null) : null,
+        },
+      };
+    }
+
+    // Remove a tab without sending it to the recently closed list.
+    function discardTab(id) {
+      const idx = tabs.findIndex(t => t.id === id);
+      if (idx === -1) return;
+      if (diffState && diffState.tabId === id) closeSnapshotDiff();
+      cancelSave(id);
+      clearConflict(id);
+      clearFileConflict(id);
+      const model = getModel(id);
+      if (model) { model.dispose(); models.delete(id); }
+      syncedTokens.delete(id);
+      store.remove(modelKey(id)).catch(() => {});
+      store.remove(snapshotKey(id)).catch(() => {});
+      putFileHandle(id, null);
+      tabs.splice(idx, 1);
+      broadcast({ type: 'tab-closed', id });
+    }
+
+    function applySession(session, mode) {
+      commitRename({ focusEditor: false });
+      const replacedIds = mode === 'replace' ? tabs.map(t => t.id) : [];
+      let nextActive = null;
+      const importedIds = [];
+      session.tabs.forEach(({ value, ...meta }) => {
+        // keep the exported id unless it is already taken here
+        const id = meta.id && !getTab(meta.id) ? meta.id : uuid();
+        const tab = { ...meta, id, uri: `inmemory://${id}` };
+        tabs.push(tab);
+        store.set(modelKey(id), value).catch(err => reportStorageError('imported tab', err));
+        broadcast({ type: 'tab-created', tab: tabMeta(tab), value, index: tabs.length - 1 });
+        importedIds.push(id);
+        if (meta.id === session.activeTabId || !nextActive) nextActive = id;
+      });
+      // the new tabs exist before the old ones go, so the list is never empty
+      replacedIds.forEach(discardTab);
+      persistTabs();
+
+      if (mode === 'replace') {
+        const { editorTheme, editorLanguage, historyMaxCount: maxCount, historyMaxAgeDays: maxAge } = session.preferences;
+        if (editorTheme) setTheme(editorTheme);
+        if (editorLanguage) localStorage.setItem('editorLanguage', editorLanguage);
+        if (maxCount !== null) localStorage.setItem('historyMaxCount', String(maxCount));
+        if (maxAge !== null) localStorage.setItem('historyMaxAgeDays', String(maxAge));
+        closedHistory = pruneHistory(session.history);
+      } else {
+        const seen = new Set(closedHistory.map(h => h._hid));
+        closedHistory = pruneHistory([...session.history.filter(h => !seen.has(h._hid)), ...closedHistory]
+          .sort((a, b) => b.closedAt - a.closedAt));
+      }
+      persistHistory();
+
+      updateTabbar();
+      setActive(nextActive || activeTabId);
+      return importedIds;
+    }
+
+    async function importSession() {
+      const [file] = await pickFiles({ accept: '.json,application/json' });
+      if (!file) return;
+      let session;
+      try {
+        session = parseSessionBundle(JSON.parse(await file.text()));
+      } catch (err) {
+        showNotice('session', { kind: 'error', message: `Couldn't import ${file.name}: ${err.message}.` });
+        return;
+      }
+      const count = session.tabs.length;
+      const mode = await openDialog({
+        title: 'Import session',
+        message: `${file.name} has ${count} tab${count === 1 ? '' : 's'}. Merge them with the open tabs, or replace the open tabs, closed history and preferences?`,
+        buttons: [
+          { label: 'Cancel', value: null },
+          { label: 'Replace', value: 'replace' },
+          { label: 'Merge', value: 'merge', primary: true },
+        ],
+      });
+      if (!mode) return;
+      if (mode === 'replace' && !count) {
+        showNotice('session', { kind: 'error', message: 'Nothing to replace with: the session has no tabs.' });
+        return;
+      }
+      // with everything encrypted, imported tabs are encrypted right away
+      if (encryptsNewTabs() && !await ensureVaultKey()) return;
+      const importedIds = applySession(session, mode);
+      if (encryptsNewTabs()) {
+        for (const id of importedIds) await setTabEncrypted(id, true);
+        await encryptClosedHistories().catch(err => reportStorageError('closed history', err));
+      }
+      showNotice('session', { message: `Imported ${count} tab${count === 1 ? '' : 's'} from ${file.name}.`, timeout: 4000 });
+    }
+
+    editor.addAction({ id: 'session.export', label: 'Export Session…', run: () => { exportSession(); } });
+    editor.addAction({ id: 'session.import', label: 'Import Session…', run: () => { importSession(); } });
+
+    // ---- Workspaces: switching and management ----
+    const WORKSPACE_ACTIONS = [
+      { value: '__new', text: 'New workspace…', run: () => createWorkspace() },
+      { value: '__rename', text: 'Rename workspace…', run: () => renameWorkspace() },
+      { value: '__duplicate', text: 'Duplicate workspace…', run: () => duplicateWorkspace() },
+      { value: '__delete', text: 'Delete workspace…', run: () => deleteWorkspace() },
+    ];
+
+    function renderWorkspaceSelect() {
+      if (!workspaceSelect) return;
+      workspaceSelect.innerHTML = '';
+      workspaces.forEach((ws) => {
+        const opt = document.createElement('option');
+        opt.value = ws.id;
+        opt.textContent = ws.name;
+        workspaceSelect.appendChild(opt);
+      });
+      const sep = document.createElement('option');
+      sep.disabled = true;
+      sep.textContent = '──────────';
+      workspaceSelect.appendChild(sep);
+      WORKSPACE_ACTIONS.forEach(({ value, text }) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        if (value === '__delete' && workspaces.length < 2) opt.disabled = true;
+        workspaceSelect.appendChild(opt);
+      });
+      workspaceSelect.value = currentWorkspaceId;
+      fitSelectWidth(workspaceSelect);
+    }
+
+    workspaceSelect?.addEventListener('change', () => {
+      const value = workspaceSelect.value;
+      const action = WORKSPACE_ACTIONS.find(a => a.value === value);
+      // the select shows the current workspace; actions only run from it
+      workspaceSelect.value = currentWorkspaceId;
+      fitSelectWidth(workspaceSelect);
+      if (action) action.run();
+      else switchWorkspace(value);
+    });
+
+    function persistWorkspaces() {
+      if (applyingRemote) { store.prime(WORKSPACES_KEY, workspaces); return; }
+      store.set(WORKSPACES_KEY, workspaces).catch(err => reportStorageError('workspaces', err));
+      broadcast({ type: 'workspaces', workspaces });
+    }
+
+    function applyRemoteWorkspaces({ workspaces: list }) {
+      if (!Array.isArray(list) || !list.length) return;
+      workspaces = list;
+      persistWorkspaces();
+      renderWorkspaceSelect();
+      if (!getWorkspace(currentWorkspaceId)) {
+        // ours was deleted elsewhere; leave the remote context before switching
+        setTimeout(() => switchWorkspace(workspaces[0].id, { force: true }), 0);
+      }
+    }
+
+    async function switchWorkspace(wsId, { force = false } = {}) {
+      if ((wsId === currentWorkspaceId && !force) || !getWorkspace(wsId)) return;
+      if (!force && (saveFailures.size || conflicts.size)) {
+        showNotice('workspace', {
+          kind: 'error',
+          message: 'Some tabs have unsaved changes that could not be stored yet. Resolve them before switching workspaces.',
+        });
+        return;
+      }
+      const target = getWorkspace(wsId);
+      // another window may have changed the target workspace since we read it
+      await store.reload([wsKey(wsId, TABS_KEY), wsKey(wsId, ACTIVE_KEY), historyKeyFor(target)])
+        .catch(err => console.error('Failed to reload workspace:', err));
+
+      commitRename({ focusEditor: false });
+      closeColorPalette();
+      closeSnapshotDiff();
+      if (historyPanel) historyPanel.hidden = true;
+      if (snapshotPanel) snapshotPanel.hidden = true;
+      if (getTab(activeTabId) && captureViewState(activeTabId)) persistTabs();
+      // write pending edits while their models still exist; a failed write
+      // keeps this workspace open, so its retries still find the tab
+      const pending = [...saveTimeouts.keys()];
+      await Promise.all(pending.map((id) => { cancelSave(id); return writeTab(id); }));
+      if (pending.some(id => saveFailures.has(id))) {
+        showNotice('workspace', {
+          kind: 'error',
+          message: 'Some edits could not be stored. The workspace was not switched, so they are not lost.',
+        });
+        return;
+      }
+      models.forEach(m => m.dispose());
+      models.clear();
+      syncedTokens.clear();
+      closedStack.length = 0;
+      [...fileConflicts.keys()].forEach(clearFileConflict);
+      missingFiles.forEach(id => clearNotice(`file-missing:${id}`));
+      missingFiles.clear();
+
+      currentWorkspaceId = wsId;
+      store.set(ACTIVE_WORKSPACE_KEY, wsId).catch(err => reportStorageError('workspace selection', err));
+      loadWorkspaceTabs();
+      closedHistory = loadHistory();
+      renderWorkspaceSelect();
+      updateTabbar();
+      setActive(activeTabId);
+      if (vaultKey) unsealTabs(tabs);
+      checkFileAccess();
+      claimFilePolling();
+    }
+
+    // Dialog body with a name field and, for new workspaces, the history option.
+    function workspaceForm({ name = '', ownHistory = false, showHistoryOption = false }) {
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.maxLength = 120;
+      input.value = name;
+      input.placeholder = 'Workspace name';
+      input.setAttribute('aria-label', 'Workspace name');
+      body.appendChild(input);
+      let checkbox = null;
+      if (showHistoryOption) {
+        const label = document.createElement('label');
+        checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = ownHistory;
+        label.appendChild(checkbox);
+        label.append(' Keep a separate recently closed list');
+        body.appendChild(label);
+      }
+      return {
+        body,
+        read: () => ({ name: normalizeTabName(input.value) || 'Untitled workspace', ownHistory: checkbox ? checkbox.checked : ownHistory }),
+      };
+    }
+
+    async function createWorkspace() {
+      const form = workspaceForm({ showHistoryOption: true });
+      const ok = await openDialog({
+        title: 'New workspace',
+        body: form.body,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Create', value: true, primary: true }],
+      });
+      if (!ok) return;
+      const { name, ownHistory } = form.read();
+      const ws = { id: uuid(), name, ownHistory };
+      workspaces.push(ws);
+      persistWorkspaces();
+      switchWorkspace(ws.id);
+    }
+
+    async function renameWorkspace() {
+      const ws = currentWorkspace();
+      const form = workspaceForm({ name: ws.name });
+      const ok = await openDialog({
+        title: 'Rename workspace',
+        body: form.body,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Rename', value: true, primary: true }],
+      });
+      if (!ok) return;
+      ws.name = form.read().name;
+      persistWorkspaces();
+      renderWorkspaceSelect();
+    }
+
+    async function duplicateWorkspace() {
+      const source = currentWorkspace();
+      const form = workspaceForm({ name: `${source.name} copy`, ownHistory: source.ownHistory, showHistoryOption: true });
+      const ok = await openDialog({
+        title: 'Duplicate workspace',
+        message: `Copies every tab of “${source.name}” into a new workspace.`,
+        body: form.body,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Duplicate', value: true, primary: true }],
+      });
+      if (!ok) return;
+      const { name, ownHistory } = form.read();
+      const ws = { id: uuid(), name, ownHistory };
+      if (captureViewState(activeTabId)) persistTabs();
+      let copiedActive = null;
+      const copies = tabs.map((tab) => {
+        const id = uuid();
+        if (tab.id === activeTabId) copiedActive = id;
+        // encrypted tabs are copied as stored (ciphertext), with their last saved content
+        const value = tab.encrypted ? (store.get(modelKey(tab.id)) ?? defaultContent()) : tabContent(tab.id);
+        store.set(modelKey(id), value).catch(err => reportStorageError('workspace copy', err));
+        const handle = getFileHandle(tab.id);
+        if (handle) putFileHandle(id, handle);
+        return { ...tabMeta(tab), id, uri: `inmemory://${id}` };
+      });
+      const writes = [
+        store.set(wsKey(ws.id, TABS_KEY), copies),
+        store.set(wsKey(ws.id, ACTIVE_KEY), copiedActive),
+      ];
+      if (ownHistory) writes.push(store.set(wsKey(ws.id, HISTORY_KEY), closedHistory.slice()));
+      try {
+        await Promise.all(writes);
+      } catch (err) {
+        reportStorageError('workspace copy', err);
+        return;
+      }
+      workspaces.push(ws);
+      persistWorkspaces();
+      switchWorkspace(ws.id);
+    }
+
+    async function deleteWorkspace() {
+      if (workspaces.length < 2) return;
+      const ws = currentWorkspace();
+      const ok = await openDialog({
+        title: 'Delete workspace',
+        message: `Delete “${ws.name}” and all of its tabs? This cannot be undone.`,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Delete', value: true, primary: true }],
+      });
+      if (!ok) return;
+      const next = workspaces.find(w => w.id !== ws.id);
+      await switchWorkspace(next.id);
+      if (currentWorkspaceId === ws.id) return; // switching was refused
+      const wsTabs = store.get(wsKey(ws.id, TABS_KEY), []);
+      (Array.isArray(wsTabs) ? wsTabs : []).forEach((t) => {
+        if (!t || !t.id) return;
+        store.remove(modelKey(t.id)).catch(() => {});
+        store.remove(snapshotKey(t.id)).catch(() => {});
+        store.remove(fileKey(t.id)).catch(() => {});
+      });
+      [TABS_KEY, ACTIVE_KEY, HISTORY_KEY].forEach(key => store.remove(wsKey(ws.id, key)).catch(() => {}));
+      workspaces = workspaces.filter(w => w.id !== ws.id);
+      persistWorkspaces();
+      renderWorkspaceSelect();
+    }
+
+    renderWorkspaceSelect();
+    editor.addAction({ id: 'workspace.new', label: 'Workspace: New…', run: () => { createWorkspace(); } });
+    editor.addAction({ id: 'workspace.rename', label: 'Workspace: Rename…', run: () => { renameWorkspace(); } });
+    editor.addAction({ id: 'workspace.duplicate', label: 'Workspace: Duplicate…', run: () => { duplicateWorkspace(); } });
+    editor.addAction({ id: 'workspace.delete', label: 'Workspace: Delete…', run: () => { deleteWorkspace(); } });
+
+    editor.onDidChangeModelContent(() => {
+      if (applyingRemote) return; // already saved by the window that made the change
+      // mark dirty immediately for active tab without full rerender
+      const t = getTab(activeTabId);
+      if (t && !t._dirty) { setTabDirty(t.id, true); }
+      if (t && !reloadingFromFile) markFileModified(t.id);
+      scheduleSave();
+    });
+
+    // ---- Files on disk (File System Access API) ----
+    // A tab opened from or saved to a file is bound to its handle, kept under
+    // `file:<tab id>` so the binding survives a reload (IndexedDB only: handles
+    // can't be serialized, so the localStorage store keeps them in memory). The
+    // tab metadata carries `file: { name, lastModified, modified }`, where
+    // `modified` means the tab has changes not yet written to the file. Files
+    // in the companion server's folder are stored as { companionPath, version }
+    // and get a stand-in handle (see "Files: companion server").
+    const canUseFileSystem = typeof window.showOpenFilePicker === 'function' && typeof window.showSaveFilePicker === 'function';
+    const fileKey = id => `file:${id}`;
+    const fileHandles = new Map(); // id -> handle, for the localStorage store
+    const fileWrites = new Set(); // ids of tabs being written to their files
+    const isFileHandle = handle => !!(handle && typeof handle.getFile === 'function' && typeof handle.createWritable === 'function');
+    const isCompanionLink = value => !!(value && typeof value === 'object' && typeof value.companionPath === 'string');
+    let companion = null; // companion.js client while one is connected
+    const companionHandles = new Map(); // path -> handle, which remembers the version it last read
+
+    const getFileHandle = (id) => {
+      const stored = store.kind === 'indexeddb' ? store.get(fileKey(id)) : fileHandles.get(id);
+      const handle = isCompanionLink(stored) ? companionHandle(stored.companionPath, stored.version) : stored;
+      return isFileHandle(handle) ? handle : null;
+    };
+
+    function putFileHandle(id, handle) {
+      // stand-in handles can't be stored; their path and the version they last read can
+      if (handle?.companionPath) handle = { companionPath: handle.companionPath, version: handle.companionVersion ?? null };
+      if (store.kind !== 'indexeddb') {
+        if (handle) fileHandles.set(id, handle);
+        else fileHandles.delete(id);
+        return;
+      }
+      if (!handle && store.get(fileKey(id)) === null) return;
+      (handle ? store.set(fileKey(id), handle) : store.remove(fileKey(id)))
+        .catch(err => reportStorageError('file link', err));
+    }
+
+    function setTabFile(id, file) {
+      const tab = getTab(id);
+      if (!tab) return;
+      if (file) tab.file = file;
+      else delete tab.file;
+      persistTabs();
+      broadcast({ type: 'tab-updated', id, patch: { file: file || null } });
+      refreshTabEl(id);
+    }
+
+    // Another window bound, saved or changed the tab; its handle is in the shared store.
+    function applyRemoteFile(tab, file) {
+      if (file && typeof file === 'object') tab.file = file;
+      else delete tab.file;
+      persistTabs();
+      store.reload([fileKey(tab.id)]).catch(err => console.error('Failed to reload file link:', err));
+      refreshTabEl(tab.id);
+    }
+
+    // Edits since the last write to disk.
+    function markFileModified(id) {
+      const tab = getTab(id);
+      if (tab && tab.file && !tab.file.modified) setTabFile(id, { ...tab.file, modified: true });
+    }
+
+    async function ensureFilePermission(handle) {
+      if (typeof handle.queryPermission !== 'function') return true;
+      const opts = { mode: 'readwrite' };
+      if (await handle.queryPermission(opts) === 'granted') return true;
+      return (await handle.requestPermission(opts)) === 'granted';
+    }
+
+    const LARGE_FILE_BYTES = 5 * 1024 * 1024;
+    const SNIFF_BYTES = 8192;
+
+    // Judged from the start of the file: text has no NUL bytes (unless it is
+    // UTF-16) and few other control characters.
+    async function looksBinary(file) {
+      const bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+      if (detectEncoding(bytes).startsWith('utf-16')) return false;
+      let control = 0;
+      for (const b of bytes) {
+        if (b === 0) return true;
+        // tab, line feed, form feed, carriage return and escape (ANSI colors in logs) are text
+        if (b < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(b)) control++;
+      }
+      return control > bytes.length * 0.1;
+    }
+
+    // Binary and very large files are only opened when confirmed. Resolves
+    // with { binary }, or null when the file should be skipped.
+    async function confirmFileOpen(file) {
+      const binary = await looksBinary(file);
+      if (binary) {
+        const open = await openDialog({
+          title: 'Open binary file?',
+          message: `${file.name} doesn't look like a text file and would show as unreadable characters. It is opened as a copy, so saving never writes to the original.`,
+          buttons: [{ label: 'Open anyway', value: true }, { label: 'Skip', value: false, primary: true }],
+        });
+        if (!open) return null;
+      }
+      if (file.size > LARGE_FILE_BYTES) {
+        const open = await openDialog({
+          title: 'Open large file?',
+          message: `${file.name} is ${formatBytes(file.size)}. Files this large make the editor slow and use up browser storage.`,
+          buttons: [{ label: 'Skip', value: false }, { label: 'Open', value: true, primary: true }],
+        });
+        if (!open) return null;
+      }
+      return { binary };
+    }
+
+    // `handle` is null for files read through <input type="file"> or dropped
+    // without one: those tabs are not bound, and saving them asks where to put them.
+    async function openFileAsTab(file, handle) {
+      if (handle) {
+        // a file that is already open is just brought to the front
+        for (const tab of tabs) {
+          const bound = getFileHandle(tab.id);
+          if (bound && await bound.isSameEntry(handle).catch(() => false)) {
+            setActive(tab.id);
+            return;
+          }
+        }
+      }
+      const check = await confirmFileOpen(file);
+      if (!check) return;
+      const { text: raw, encoding } = await readFileText(file);
+      const { eol, mixed } = detectEOL(raw);
+      const text = withEol(raw, eol);
+      const language = check.binary
+        ? 'plaintext'
+        : languageForFileName(file.name) || languageFromContent(text) || localStorage.getItem('editorLanguage') || 'markdown';
+      createTab(file.name, language, text);
+      setTabEol(activeTabId, eol);
+      setTabEncoding(activeTabId, encoding);
+      if (mixed) showNotice('eol', { message: `${file.name} mixed CRLF and LF line endings; all of them are ${eol} now.`, timeout: 6000 });
+      if (!handle || check.binary) return;
+      putFileHandle(activeTabId, handle);
+      setTabFile(activeTabId, { name: handle.name, lastModified: file.lastModified, modified: false });
+    }
+
+    // Open { file, handle } pairs one after the other (either may be missing).
+    async function openFileEntries(entries) {
+      for (const { file, handle } of entries) {
+        try {
+          await openFileAsTab(file || await handle.getFile(), handle);
+        } catch (err) {
+          console.error('Failed to open file:', err);
+          showNotice('file', { kind: 'error', message: `Couldn't open ${(file || handle).name}: ${err.message}.` });
+        }
+      }
+    }
+
+    async function openFiles() {
+      if (!canUseFileSystem) {
+        const files = await pickFiles({ multiple: true });
+        await openFileEntries(files.map(file => ({ file, handle: null })));
+        return;
+      }
+      let handles;
+      try {
+        handles = await window.showOpenFilePicker({ multiple: true });
+      } catch (err) {
+        if (err.name !== 'AbortError') showNotice('file', { kind: 'error', message: `Couldn't open the file: ${err.message}.` });
+        return;
+      }
+      await openFileEntries(handles.map(handle => ({ file: null, handle })));
+    }
+
+    // Write the tab to its file, or to a new one chosen by the user (`saveAs`,
+    // or when the tab isn't bound yet). Resolves with whether it was written.
+    // `target` is a handle to write to instead (used by "Companion: Save As…").
+    async function saveTabToFile(id, { saveAs = false, target = null } = {}) {
+      const tab = getTab(id);
+      if (!tab) return false;
+      const model = getModel(id);
+      if (!model) {
+        showNotice('file', { message: 'Unlock this tab to save it to a file.', actions: [{ label: 'Unlock…', run: () => unlockTabs() }] });
+        return false;
+      }
+      if (!canEncode(tab, model.getValue())) return false;
+      const encoding = tabEncoding(tab);
+      let handle = target || (saveAs ? null : getFileHandle(id));
+      if (!handle) {
+        const suggestedName = tab.file?.name || exportFileName(tab, '{name}');
+        if (!canUseFileSystem) {
+          // no file access: hand the text to the browser as a download
+          downloadBlob(suggestedName, new Blob([encodeText(model.getValue(), encoding)], { type: 'text/plain' }));
+          return true;
+        }
+        try {
+          handle = await window.showSaveFilePicker({ suggestedName });
+        } catch (err) {
+          if (err.name !== 'AbortError') showNotice('file', { kind: 'error', message: `Couldn't save the file: ${err.message}.` });
+          return false;
+        }
+      }
+      const version = model.getAlternativeVersionId();
+      const value = model.getValue();
+      fileWrites.add(id);
+      try {
+        if (!await ensureFilePermission(handle)) {
+          showNotice('file', { kind: 'error', message: `Permission to write ${handle.name} was not granted.` });
+          return false;
+        }
+        const writable = await handle.createWritable();
+        await writable.write(encodeText(value, encoding));
+        await writable.close();
+        const { lastModified } = await handle.getFile();
+        if (!getTab(id)) return true; // closed meanwhile
+        if (handle !== getFileHandle(id)) putFileHandle(id, handle);
+        const modified = model.isDisposed() || model.getAlternativeVersionId() !== version;
+        setTabFile(id, { name: handle.name, lastModified, modified });
+        clearFileConflict(id); // overwritten on purpose
+        showNotice('file', { message: `Saved ${handle.name}.`, timeout: 2500 });
+        return true;
+      } catch (err) {
+        if (err.name === 'ConflictError' && handle === getFileHandle(id)) {
+          // the companion refused to overwrite changes made on disk: offer the usual choices
+          handle.getFile().then(file => applyExternalChange(id, file)).catch(() => {});
+          return false;
+        }
+        console.error('Failed to write file:', err);
+        showNotice('file', {
+          kind: 'error',
+          message: `Couldn't save ${handle.name}: ${err.message}.`,
+          actions: [{ label: 'Retry', run: () => saveTabToFile(id, { saveAs, target }) }],
+        });
+        return false;
+      } finally {
+        fileWrites.delete(id);
+      }
+    }
+
+    // Handles restored after a reload need the user's permission again
+    // (browsers only ask from a click or key press, hence the notice).
+    async function checkFileAccess() {
+      const pending = [];
+      for (const tab of tabs) {
+        const handle = tab.file && getFileHandle(tab.id);
+        if (!handle || typeof handle.queryPermission !== 'function') continue;
+        const state = await handle.queryPermission({ mode: 'readwrite' }).catch(() => 'prompt');
+        if (state !== 'granted') pending.push(tab.id);
+      }
+      if (!pending.length) { clearNotice('file-access'); return; }
+      const n = pending.length;
+      showNotice('file-access', {
+        message: `${n} tab${n === 1 ? ' is' : 's are'} linked to files on disk. Allow access to save ${n === 1 ? 'it' : 'them'} there again.`,
+        actions: [{ label: 'Reconnect', run: () => reconnectFiles(pending) }],
+      });
+    }
+
+    async function reconnectFiles(ids) {
+      let denied = 0;
+      for (const id of ids) {
+        const handle = getFileHandle(id);
+        if (handle && !await ensureFilePermission(handle).catch(() => false)) denied++;
+      }
+      if (denied) showNotice('file-access', { kind: 'warn', message: `Access to ${denied} file${denied === 1 ? ' was' : 's were'} not granted; saving will ask again.`, timeout: 6000 });
+    }
+
+    checkFileAccess();
+    editor.addAction({
+      id: 'file.open',
+      label: 'Open File…',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyO],
+      run: () => { openFiles(); },
+    });
+    editor.addAction({
+      id: 'file.save',
+      label: 'Save',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS],
+      run: () => { saveTabToFile(activeTabId); },
+    });
+    editor.addAction({
+      id: 'file.saveAs',
+      label: 'Save As…',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyS],
+      run: () => { saveTabToFile(activeTabId, { saveAs: true }); },
+    });
+
+    // ---- Files: drag and drop ----
+    // Files dropped on the editor or the tab bar open as tabs. Where the
+    // browser hands out file handles for dropped items, the tabs are linked
+    // to their files like ones opened with Open File….
+    const draggingFiles = e => [...(e.dataTransfer?.types || [])].includes('Files');
+
+    function setupFileDrop(target) {
+      if (!target) return;
+      let depth = 0; // dragenter/dragleave also fire for every child element
+      const clear = () => { depth = 0; target.classList.remove('file-drop'); };
+      // capture phase: Monaco has its own drop handling for text
+      target.addEventListener('dragenter', (e) => {
+        if (!draggingFiles(e)) return;
+        depth++;
+        target.classList.add('file-drop');
+      }, true);
+      target.addEventListener('dragleave', (e) => {
+        if (!draggingFiles(e)) return;
+        if (--depth <= 0) clear();
+      }, true);
+      target.addEventListener('dragover', (e) => {
+        if (!draggingFiles(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        e.dataTransfer.dropEffect = 'copy';
+      }, true);
+      target.addEventListener('drop', (e) => {
+        if (!draggingFiles(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        clear();
+        openDroppedItems([...e.dataTransfer.items].filter(item => item.kind === 'file'));
+      }, true);
+    }
+
+    async function openDroppedItems(items) {
+      // the items are only readable during the drop event, so take everything out first
+      const dropped = items.map(item => ({
+        file: item.getAsFile(),
+        handle: typeof item.getAsFileSystemHandle === 'function' ? item.getAsFileSystemHandle().catch(() => null) : null,
+        isDirectory: !!item.webkitGetAsEntry?.()?.isDirectory,
+      }));
+      const entries = [];
+      let folders = 0;
+      for (const { file, handle, isDirectory } of dropped) {
+        const resolved = await handle;
+        if (isDirectory || resolved?.kind === 'directory') { folders++; continue; }
+        if (file) entries.push({ file, handle: isFileHandle(resolved) ? resolved : null });
+      }
+      if (folders) {
+        showNotice('file', { kind: 'warn', message: `Folders can't be opened; drop the files inside ${folders === 1 ? 'it' : 'them'} instead.`, timeout: 5000 });
+      }
+      await openFileEntries(entries);
+    }
+
+    setupFileDrop(editorContainer);
+    setupFileDrop(tabbarEl);
+    // a file dropped anywhere else would make the browser navigate away from the editor
+    window.addEventListener('dragover', (e) => {
+      if (!draggingFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'none';
+    });
+    window.addEventListener('drop', (e) => { if (draggingFiles(e)) e.preventDefault(); });
+
+    // ---- Files: external changes ----
+    // Files bound to tabs are polled for a new `lastModified`. A tab without
+    // changes of its own since the last save reloads quietly (keeping the
+    // cursor and scroll position); otherwise a conflict notice offers to
+    // reload, keep the tab's version or compare the two. With several windows
+    // open, one window per workspace polls (Web Locks) and the others follow
+    // through the usual sync.
+    const FILE_POLL_MS = 2000;
+    const fileConflicts = new Map(); // id -> { text, lastModified } of the version on disk
+    const missingFiles = new Set(); // ids whose file was moved or deleted (reported once)
+    let isFilePoller = !navigator.locks;
+    let filePollLock = null; // { abort, release } for the lock of the current workspace
+    let pollingFiles = false;
+
+    function claimFilePolling() {
+      if (!navigator.locks) return;
+      filePollLock?.release();
+      const abort = new AbortController();
+      let release = () => {};
+      filePollLock = { abort, release: () => { abort.abort(); release(); } };
+      isFilePoller = false;
+      navigator.locks.request(`simple-monaco-editor:file-poll:${currentWorkspaceId}`, { signal: abort.signal }, () => {
+        isFilePoller = true;
+        pollFiles();
+        // held until this window leaves the workspace or closes
+        return new Promise((resolve) => { release = () => { isFilePoller = false; resolve(); }; });
+      }).catch(() => { /* aborted while waiting */ });
+    }
+
+    async function pollFiles() {
+      if (pollingFiles || !isFilePoller || document.visibilityState !== 'visible') return;
+      pollingFiles = true;
+      try {
+        for (const tab of tabs.filter(t => t.file)) {
+          const handle = getFileHandle(tab.id);
+          if (!handle || fileWrites.has(tab.id) || isLocked(tab)) continue;
+          // without permission from this session, wait for Reconnect rather than prompting
+          if (typeof handle.queryPermission === 'function'
+            && await handle.queryPermission({ mode: 'read' }).catch(() => 'denied') !== 'granted') continue;
+          let file;
+          try {
+            file = await handle.getFile();
+          } catch (err) {
+            if (err.name === 'NotFoundError') reportMissingFile(tab.id);
+            continue;
+          }
+          missingFiles.delete(tab.id);
+          const current = getTab(tab.id);
+          const known = fileConflicts.get(tab.id)?.lastModified ?? current?.file?.lastModified;
+          if (!current || !current.file || file.lastModified === known || fileWrites.has(tab.id)) continue;
+          try {
+            await applyExternalChange(current.id, file);
+          } catch (err) {
+            // changed again while being read (NotReadableError), or the companion went away: next poll
+            console.warn(`Couldn't read ${current.file.name}:`, err);
+          }
+        }
+      } finally {
+        pollingFiles = false;
+      }
+    }
+
+    function reportMissingFile(id) {
+      if (missingFiles.has(id)) return;
+      missingFiles.add(id);
+      const tab = getTab(id);
+      showNotice(`file-missing:${id}`, {
+        kind: 'warn',
+        message: `${tab.file.name} was moved or deleted on disk; ${tabLabel(tab)} keeps its text.`,
+        actions: [{ label: 'Save As…', run: () => saveTabToFile(id, { saveAs: true }) }],
+      });
+    }
+
+    async function applyExternalChange(id, file) {
+      const { text: raw } = await readFileText(file, tabEncoding(getTab(id)));
+      const tab = getTab(id);
+      if (!tab || !tab.file || isLocked(tab)) return;
+      const model = ensureModel(tab);
+      // compared and reloaded with the tab's line endings
+      const text = withEol(raw, model.getEOL() === '\r\n' ? 'CRLF' : 'LF');
+      const { lastModified } = file;
+      if (model.getValue() === text) {
+        // touched but unchanged, or already reloaded
+        clearFileConflict(id);
+        setTabFile(id, { ...tab.file, lastModified, modified: false });
+        return;
+      }
+      if (!tab.file.modified) {
+        reloadFromFile(id, text, lastModified);
+        return;
+      }
+      fileConflicts.set(id, { text, lastModified });
+      showFileConflict(id);
+    }
+
+    function reloadFromFile(id, text, lastModified) {
+      const tab = getTab(id);
+      const model = getModel(id);
+      if (!tab || !model) return;
+      clearFileConflict(id);
+      reloadingFromFile = true;
+      try {
+        replaceModelContent(model, text);
+      } finally {
+        reloadingFromFile = false;
+      }
+      setTabFile(id, { ...tab.file, lastModified, modified: false });
+      setTabDirty(id, true);
+      writeTab(id);
+    }
+
+    function showFileConflict(id) {
+      const tab = getTab(id);
+      if (!tab || !fileConflicts.has(id)) return;
+      showNotice(`file-conflict:${id}`, {
+        kind: 'warn',
+        message: `${tab.file.name} changed on disk, and ${tabLabel(tab)} has changes not saved to it.`,
+        dismissible: false,
+        actions: [
+          { label: 'Reload', run: () => resolveFileConflict(id, 'reload') },
+          { label: 'Keep mine', run: () => resolveFileConflict(id, 'mine') },
+          { label: 'Compare', run: () => resolveFileConflict(id, 'compare') },
+        ],
+      });
+    }
+
+    function clearFileConflict(id) {
+      fileConflicts.delete(id);
+      clearNotice(`file-conflict:${id}`);
+    }
+
+    function resolveFileConflict(id, choice) {
+      const disk = fileConflicts.get(id);
+      const tab = getTab(id);
+      if (!disk || !tab) return;
+      if (choice === 'reload') {
+        reloadFromFile(id, disk.text, disk.lastModified);
+      } else if (choice === 'mine') {
+        // the next Save overwrites the file
+        clearFileConflict(id);
+        setTabFile(id, { ...tab.file, lastModified: disk.lastModified, modified: true });
+      } else {
+        // the snapshot diff viewer shows it; "Restore" there takes lines from disk
+        setActive(id);
+        openSnapshotDiff(id, { name: 'On disk', at: disk.lastModified, value: disk.text });
+        showFileConflict(id); // still undecided
+      }
+    }
+
+    claimFilePolling();
+    setInterval(pollFiles, FILE_POLL_MS);
+    document.addEventListener('visibilitychange', pollFiles);
+
+    // ---- Files: companion server (companion.js) ----
+    // A companion server (companion/server.mjs) gives any browser a folder on
+    // this computer. Its files open and save like local ones, linked to their
+    // tabs through stand-in handles; its change events trigger a poll right
+    // away instead of at the next interval. URL and token are kept in
+    // localStorage, shared by all windows.
+    let stopCompanionWatch = null;
+    let companionPollTimer = null;
+
+    // `version`: the one stored with the tab's link, which writes must match
+    // even before this page has read the file
+    function companionHandle(path, version = null) {
+      if (!companion) return null;
+      if (!companionHandles.has(path)) {
+        companionHandles.set(path, companionFileHandle(companion, path, {
+          version,
+          onVersion: next => storeCompanionVersion(path, next),
+        }));
+      }
+      return companionHandles.get(path);
+    }
+
+    // Into the links of every tab bound to the file, so a reload still
+    // detects changes made on disk since.
+    function storeCompanionVersion(path, version) {
+      if (store.kind !== 'indexeddb') {
+        fileHandles.forEach((link, id) => {
+          if (isCompanionLink(link) && link.companionPath === path) fileHandles.set(id, { ...link, version });
+        });
+        return;
+      }
+      store.keys('file:').forEach((key) => {
+        const link = store.get(key);
+        if (!isCompanionLink(link) || link.companionPath !== path || link.version === version) return;
+        store.set(key, { ...link, version }).catch(err => reportStorageError('file link', err));
+      });
+    }
+
+    function useCompanion(settings) {
+      stopCompanionWatch?.();
+      stopCompanionWatch = null;
+      companionHandles.clear();
+      companion = settings ? createCompanion(settings) : null;
+      if (companion) {
+        stopCompanionWatch = companion.watch(() => {
+          clearTimeout(companionPollTimer);
+          companionPollTimer = setTimeout(pollFiles, 200);
+        });
+      }
+      updateSaveButtonTitle();
+    }
+
+    async function connectCompanion() {
+      const settings = companionSettings();
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const urlInput = document.createElement('input');
+      urlInput.type = 'text';
+      urlInput.value = settings?.url || COMPANION_DEFAULT_URL;
+      urlInput.setAttribute('aria-label', 'Server URL');
+      const tokenInput = document.createElement('input');
+      tokenInput.type = 'password';
+      tokenInput.autocomplete = 'off';
+      tokenInput.placeholder = 'Token printed by the server';
+      tokenInput.setAttribute('aria-label', 'Token');
+      const hint = document.createElement('p');
+      hint.className = 'hint';
+      hint.textContent = 'Start it with: node companion/server.mjs --root <folder>';
+      body.append(urlInput, tokenInput, hint);
+      const ok = await openDialog({
+        title: 'Connect to companion',
+        message: 'The companion server lets the editor open and save files in one folder on this computer.',
+        body,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Connect', value: true, primary: true }],
+      });
+      if (!ok) return;
+      const next = { url: urlInput.value.trim() || COMPANION_DEFAULT_URL, token: tokenInput.value.trim() || settings?.token || '' };
+      try {
+        const info = await createCompanion(next).hello();
+        saveCompanionSettings(next);
+        useCompanion(next);
+        showNotice('companion', { message: `Connected to the companion folder ${info.root}.`, timeout: 4000 });
+      } catch (err) {
+        showNotice('companion', {
+          kind: 'error',
+          message: `Couldn't connect to the companion: ${err.message}.`,
+          actions: [{ label: 'Try Again', run: () => connectCompanion() }],
+        });
+      }
+    }
+
+    function disconnectCompanion() {
+      saveCompanionSettings(null);
+      useCompanion(null);
+      showNotice('companion', { message: 'Disconnected from the companion. Tabs linked to its files save again once you reconnect.', timeout: 5000 });
+    }
+
+    // Lets the user pick a file in the companion folder, or name one when
+    // `fileName` is given (saving). Resolves with its path, or null.
+    async function browseCompanion({ title, fileName = null }) {
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const where = document.createElement('p');
+      where.className = 'hint';
+      const list = document.createElement('div');
+      list.className = 'companion-list';
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.placeholder = 'File name';
+      nameInput.setAttribute('aria-label', 'File name');
+      nameInput.value = fileName || '';
+      body.append(where, list, nameInput);
+      let dir = '';
+
+      async function show(path) {
+        let listing;
+        try {
+          listing = await companion.list(path);
+        } catch (err) {
+          where.textContent = `Couldn't list /${path}: ${err.message}`;
+          return;
+        }
+        dir = listing.path;
+        where.textContent = `/${dir}`;
+        const parent = dir.split('/').slice(0, -1).join('/');
+        const rows = dir ? [{ name: '..', kind: 'directory', path: parent }, ...listing.entries] : listing.entries;
+        list.replaceChildren(...rows.map((entry) => {
+          const row = document.createElement('button');
+          row.type = 'button';
+          row.className = entry.kind;
+          row.textContent = entry.kind === 'directory' ? `${entry.name}/` : entry.name;
+          if (entry.kind === 'directory') {
+            row.addEventListener('click', () => show(entry.path ?? (dir ? `${dir}/${entry.name}` : entry.name)));
+          } else {
+            row.addEventListener('click', () => { nameInput.value = entry.name; });
+            row.addEventListener('dblclick', () => body.closest('form')?.querySelector('.buttons .primary')?.click());
+          }
+          return row;
+        }));
+      }
+
+      show('');
+      const ok = await openDialog({
+        title,
+        body,
+        buttons: [{ label: 'Cancel', value: false }, { label: fileName === null ? 'Open' : 'Save', value: true, primary: true }],
+      });
+      const name = nameInput.value.trim().replace(/^\/+/, '');
+      if (!ok || !name) return null;
+      return dir ? `${dir}/${name}` : name;
+    }
+
+    async function openFromCompanion() {
+      if (!companion) { connectCompanion(); return; }
+      const path = await browseCompanion({ title: 'Open from companion folder' });
+      if (path) await openFileEntries([{ file: null, handle: companionHandle(path) }]);
+    }
+
+    async function saveToCompanion(id = activeTabId) {
+      const tab = getTab(id);
+      if (!tab) return;
+      if (!companion) { connectCompanion(); return; }
+      const path = await browseCompanion({
+        title: 'Save to companion folder',
+        fileName: tab.file?.name || exportFileName(tab, '{name}'),
+      });
+      if (!path) return;
+      const handle = companionHandle(path);
+      let exists;
+      try {
+        exists = await companion.stat(path).then(() => true, (err) => {
+          if (err.name === 'NotFoundError') return false;
+          throw err;
+        });
+      } catch (err) {
+        showNotice('file', { kind: 'error', message: `Couldn't save ${path}: ${err.message}.` });
+        return;
+      }
+      if (exists && handle !== getFileHandle(id)) {
+        const replace = await openDialog({
+          title: 'Replace file?',
+          message: `${path} already exists in the companion folder.`,
+          buttons: [{ label: 'Cancel', value: false }, { label: 'Replace', value: true, primary: true }],
+        });
+        if (!replace) return;
+      }
+      await saveTabToFile(id, { target: handle });
+    }
+
+    useCompanion(companionSettings());
+    // connected or disconnected in another window
+    window.addEventListener('storage', (e) => {
+      if (e.key === null || e.key === 'companion') useCompanion(companionSettings());
+    });
+    editor.addAction({ id: 'companion.connect', label: 'Companion: Connect…', run: () => { connectCompanion(); } });
+    editor.addAction({ id: 'companion.disconnect', label: 'Companion: Disconnect', run: () => { disconnectCompanion(); } });
+    editor.addAction({ id: 'companion.open', label: 'Companion: Open File…', run: () => { openFromCompanion(); } });
+    editor.addAction({ id: 'companion.saveAs', label: 'Companion: Save As…', run: () => { saveToCompanion(); } });
+
+    // ---- Line endings and encoding ----
+    // Tabs keep `eol` ('LF' or 'CRLF') and, when it isn't UTF-8, the
+    // `encoding` their file is read and written in (see encoding.js). Opening
+    // a file detects both. The buttons next to the language menu show them
+    // for the active tab and change them.
+    const tabEncoding = tab => (tab && isEncoding(tab.encoding) ? tab.encoding : DEFAULT_ENCODING);
+    const withEol = (text, eol) => text.replace(/\r\n|\r|\n/g, eol === 'CRLF' ? '\r\n' : '\n');
+
+    // Resolves with { text, encoding }; the encoding is detected unless given.
+    async function readFileText(file, encoding = null) {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const enc = encoding || detectEncoding(bytes);
+      return { text: decodeText(bytes, enc), encoding: enc };
+    }
+
+    function setTabEol(id, eol) {
+      const tab = getTab(id);
+      if (!tab || (eol !== 'LF' && eol !== 'CRLF')) return;
+      if (tab.eol !== eol) {
+        tab.eol = eol;
+        persistTabs();
+        broadcast({ type: 'tab-updated', id, patch: { eol } });
+      }
+      const model = getModel(id);
+      if (model && model.getEOL() !== (eol === 'CRLF' ? '\r\n' : '\n')) {
+        // undoable, like any other edit
+        model.pushEOL(eolSequence(eol));
+        // the editor only reports changes to the model it shows
+        if (!applyingRemote && editor.getModel() !== model) {
+          markFileModified(id);
+          setTabDirty(id, true);
+          writeTab(id);
+        }
+      }
+      if (id === activeTabId) updateFileStatus();
+    }
+
+    function setTabEncoding(id, encoding) {
+      const tab = getTab(id);
+      if (!tab || !isEncoding(encoding) || tabEncoding(tab) === encoding) return;
+      if (encoding === DEFAULT_ENCODING) delete tab.encoding;
+      else tab.encoding = encoding;
+      persistTabs();
+      broadcast({ type: 'tab-updated', id, patch: { encoding } });
+      // the file on disk still has the old bytes
+      if (!applyingRemote) markFileModified(id);
+      if (id === activeTabId) updateFileStatus();
+    }
+
+    // Latin-1 can't store every character; says where the first one is instead of saving.
+    function canEncode(tab, text) {
+      const encoding = tabEncoding(tab);
+      const at = unencodableIndex(text, encoding);
+      if (at === -1) return true;
+      const { lineNumber } = getModel(tab.id).getPositionAt(at);
+      showNotice('file', {
+        kind: 'error',
+        message: `${tabLabel(tab)} has characters ${encodingInfo(encoding).label} can't store (the first on line ${lineNumber}).`,
+        actions: [{ label: 'Change Encoding…', run: () => chooseEncoding(tab.id) }],
+      });
+      return false;
+    }
+
+    function updateFileStatus() {
+      const tab = getTab(activeTabId);
+      const model = editor.getModel();
+      const usable = !!tab && !!model && model !== lockedModel;
+      if (eolStatus) {
+        const eol = usable && model.getEOL() === '\r\n' ? 'CRLF' : 'LF';
+        eolStatus.textContent = eol;
+        eolStatus.disabled = !usable;
+        eolStatus.title = `Line endings: ${eol} (click to switch to ${eol === 'CRLF' ? 'LF' : 'CRLF'})`;
+      }
+      if (encodingStatus) {
+        const info = encodingInfo(tabEncoding(tab));
+        encodingStatus.textContent = info.short;
+        encodingStatus.disabled = !usable;
+        encodingStatus.title = `Encoding: ${info.label} (click to change)`;
+      }
+    }
+
+    function toggleEol(id = activeTabId) {
+      const model = getModel(id);
+      if (!model) return;
+      setTabEol(id, model.getEOL() === '\r\n' ? 'LF' : 'CRLF');
+    }
+
+    // "Save with" changes how the tab is written from now on; "Reopen with"
+    // reads its file again, for when the detected encoding was wrong.
+    async function chooseEncoding(id = activeTabId) {
+      const tab = getTab(id);
+      if (!tab || !getModel(id)) return;
+      const handle = tab.file && getFileHandle(id);
+      const canReopen = !!handle && !tab.file.modified;
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', 'Encoding');
+      ENCODINGS.forEach((enc) => {
+        const opt = document.createElement('option');
+        opt.value = enc.id;
+        opt.textContent = enc.label;
+        select.appendChild(opt);
+      });
+      select.value = tabEncoding(tab);
+      body.appendChild(select);
+      const buttons = [{ label: 'Cancel', value: null }];
+      if (canReopen) buttons.push({ label: 'Reopen with Encoding', value: 'reopen' });
+      buttons.push({ label: 'Save with Encoding', value: 'save', primary: true });
+      const choice = await openDialog({
+        title: 'Encoding',
+        message: canReopen
+          ? `Save ${tabLabel(tab)} in another encoding, or read ${tab.file.name} again in it.`
+          : `The encoding ${tabLabel(tab)} is saved to a file in.`,
+        body,
+        buttons,
+      });
+      if (!choice || !getTab(id)) return;
+      const encoding = select.value;
+      if (choice === 'save') {
+        setTabEncoding(id, encoding);
+        return;
+      }
+      try {
+        if (!await ensureFilePermission(handle)) return;
+        const file = await handle.getFile();
+        const { text } = await readFileText(file, encoding);
+        const model = getModel(id);
+        if (!model) return;
+        setTabEncoding(id, encoding);
+        reloadFromFile(id, withEol(text, model.getEOL() === '\r\n' ? 'CRLF' : 'LF'), file.lastModified);
+      } catch (err) {
+        console.error('Failed to reopen file:', err);
+        showNotice('file', { kind: 'error', message: `Couldn't read ${handle.name}: ${err.message}.` });
+      }
+    }
+
+    eolStatus?.addEventListener('click', () => { toggleEol(); editor.focus(); });
+    encodingStatus?.addEventListener('click', () => { chooseEncoding(); });
+    editor.onDidChangeModel(updateFileStatus);
+    editor.addAction({
+      id: 'file.toggleEol',
+      label: 'Change End of Line Sequence (LF / CRLF)',
+      run: () => { toggleEol(); },
+    });
+    editor.addAction({
+      id: 'file.encoding',
+      label: 'Change Encoding…',
+      run: () => { chooseEncoding(); },
+    });
+    updateFileStatus();
+
+    // ---- Language detection ----
+    // A tab's language follows its name when that has a known extension (such
+    // as `query.sql`), otherwise the content pasted into it while it was empty.
+    // Picking a language by hand sets `languageLocked`; detection then leaves
+    // the tab alone until it is asked to detect again.
+    function detectTabLanguage(id, { text = null } = {}) {
+      const tab = getTab(id);
+      if (!tab || tab.languageLocked) return;
+      const lang = languageForFileName(tab.name) || (text !== null ? languageFromContent(text) : null);
+      if (lang) setTabLanguage(id, lang);
+    }
+
+    function setLanguageLocked(id, locked) {
+      const tab = getTab(id);
+      if (!tab || !!tab.languageLocked === locked) return;
+      if (locked) tab.languageLocked = true;
+      else delete tab.languageLocked;
+      persistTabs();
+      broadcast({ type: 'tab-updated', id, patch: { languageLocked: locked } });
+      if (id === activeTabId) updateLanguageSelectTitle();
+    }
+
+    // Asks for a language; resolves with it, or null when cancelled.
+    async function pickLanguage({ title, message = '', current = 'markdown', label = 'Set Language' }) {
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', 'Language');
+      languages.forEach(({ value, text }) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        select.appendChild(opt);
+      });
+      select.value = current;
+      body.appendChild(select);
+      const ok = await openDialog({
+        title,
+        message,
+        body,
+        buttons: [{ label: 'Cancel', value: false }, { label, value: true, primary: true }],
+      });
+      return ok ? select.value : null;
+    }
+
+    function updateLanguageSelectTitle() {
+      const locked = !!getTab(activeTabId)?.languageLocked;
+      languageSelect.title = locked
+        ? 'Language (chosen by hand: not detected from the name or content)'
+        : 'Language (detected from the tab name or pasted content)';
+    }
+
+    // Whether the model was empty before its last edit. onDidPaste comes after
+    // the paste's content change, when the old text is gone; a paste over a
+    // selection of everything covers the whole model too.
+    let emptyBeforeEdit = false;
+    editor.onDidChangeModelContent(({ changes }) => {
+      const model = editor.getModel();
+      if (!model) return;
+      const grown = changes.reduce((n, c) => n + c.text.length - c.rangeLength, 0);
+      emptyBeforeEdit = model.getValueLength() - grown === 0;
+    });
+
+    editor.onDidPaste(({ range }) => {
+      const tab = getTab(activeTabId);
+      const model = getModel(activeTabId);
+      if (!tab || !model || editor.getModel() !== model || tab.languageLocked) return;
+      // only a paste into an empty tab says what the whole tab is
+      if (!emptyBeforeEdit || !range.equalsRange(model.getFullModelRange())) return;
+      detectTabLanguage(tab.id, { text: model.getValue() });
+    });
+
+    editor.addAction({
+      id: 'language.detect',
+      label: 'Language: Detect Automatically',
+      run: () => {
+        const id = activeTabId;
+        setLanguageLocked(id, false);
+        detectTabLanguage(id, { text: getModel(id)?.getValue() ?? null });
+      },
+    });
+    editor.addAction({
+      id: 'language.lock',
+      label: 'Language: Keep Current Language',
+      run: () => { setLanguageLocked(activeTabId, true); },
+    });
+    updateLanguageSelectTitle();
 
     // ---- UI events ----
-    themeSelect.addEventListener('change', e => {
-      const selectedTheme = e.target.value;
+    function setTheme(selectedTheme) {
       monaco.editor.setTheme(selectedTheme);
       localStorage.setItem('editorTheme', selectedTheme);
       applyThemeToUI(selectedTheme, customThemes);
+      if (themeSelect.value !== selectedTheme) themeSelect.value = selectedTheme;
       fitSelectWidth(themeSelect);
-    });
+    }
+
+    themeSelect.addEventListener('change', e => setTheme(e.target.value));
 
     languageSelect.addEventListener('change', e => {
       const lang = e.target.value;
-      const tab = getTab(activeTabId);
-      const model = ensureModel(tab);
-      monaco.editor.setModelLanguage(model, lang);
-      tab.language = lang;
-      persistTabs();
+      setTabLanguage(activeTabId, lang);
+      setLanguageLocked(activeTabId, true); // a language picked by hand is never detected over
       localStorage.setItem('editorLanguage', lang); // keep global default too
       fitSelectWidth(languageSelect);
     });
@@ -498,32 +3533,61 @@ PY`;
     addTabBtn.addEventListener('click', () => { scrollToEndNext = true; createTab(); });
     saveButton?.addEventListener('click', () => { saveCurrentTextAsFile(); });
 
-    function createTab(name = '', language = localStorage.getItem('editorLanguage') || 'markdown', value = defaultContent(), color = DEFAULT_TAG_COLOR) {
+    // With `encrypted`, `value` is plain text to encrypt, or ciphertext when `sealed`.
+    function createTab(name = '', language = localStorage.getItem('editorLanguage') || 'markdown', value = defaultContent(), color = DEFAULT_TAG_COLOR, { encrypted = encryptsNewTabs(), sealed = false } = {}) {
       commitRename({ focusEditor: false });
       scrollToEndNext = true;
       const id = uuid();
       const uri = `inmemory://${id}`;
       const safeName = normalizeTabName(name);
       const safeColor = normalizeColor(color);
-      tabs.push({ id, name: safeName, language, uri, color: safeColor });
+      const tab = { id, name: safeName, language, uri, color: safeColor };
+      let stored = value;
+      if (encrypted) {
+        tab.encrypted = true;
+        if (!sealed) {
+          // the text is stored once encrypted (by writeTab); until then the tab is unsaved
+          models.set(id, createTabModel(tab, value));
+          if (value) {
+            tab._dirty = true;
+            stored = defaultContent();
+          }
+        }
+      }
+      tabs.push(tab);
       persistTabs();
-      localStorage.setItem(modelKey(id), value);
+      store.set(modelKey(id), stored).catch(err => reportStorageError('new tab', err));
+      broadcast({ type: 'tab-created', tab: tabMeta(tab), value: stored, index: tabs.length - 1 });
       updateTabbar();
       setActive(id);
+      if (tab._dirty) writeTab(id);
+      else if (sealed && vaultKey) unsealTabs([tab]);
     }
 
     const closedStack = [];
 
-    function closeTab(id) {
+    // Pinned tabs only close once the user confirms (`confirmed`).
+    function closeTab(id, { confirmed = false } = {}) {
       commitRename({ focusEditor: false });
+      const pinnedTab = getTab(id);
+      if (pinnedTab?.pinned && !confirmed) {
+        confirmClosePinned(pinnedTab);
+        return;
+      }
       if (tabs.length === 1) {
         // Always keep at least one tab
         const t = getTab(id);
-        const val = localStorage.getItem(modelKey(id));
-        const hist = { ...t, value: val, _hid: (crypto && crypto.randomUUID ? crypto.randomUUID() : String(Date.now()+Math.random())), closedAt: Date.now() };
-        closedStack.push(hist);
-        pushClosedHistory(hist);
-        localStorage.removeItem(modelKey(id));
+        if (diffState && diffState.tabId === id) closeSnapshotDiff();
+        const m = getModel(id);
+        recordClosed(t, m ? m.getValue() : null);
+        if (m) { m.dispose(); models.delete(id); }
+        cancelSave(id);
+        clearConflict(id);
+        clearFileConflict(id);
+        syncedTokens.delete(id);
+        store.remove(modelKey(id)).catch(() => {});
+        store.remove(snapshotKey(id)).catch(() => {});
+        putFileHandle(id, null);
         const newId = uuid();
         tabs = [{
           id: newId,
@@ -532,7 +3596,11 @@ PY`;
           uri: `inmemory://${newId}`,
           color: normalizeColor(t?.color),
         }];
+        if (encryptsNewTabs()) tabs[0].encrypted = true;
         persistTabs();
+        // announce the replacement first so other windows never end up with zero tabs
+        broadcast({ type: 'tab-created', tab: tabMeta(tabs[0]), value: defaultContent(), index: 0 });
+        broadcast({ type: 'tab-closed', id });
         updateTabbar();
         setActive(newId);
         return;
@@ -541,35 +3609,68 @@ PY`;
       const idx = tabs.findIndex(t => t.id === id);
       if (idx === -1) return;
 
-      // dispose model
+      // push to stack and persistent history for reopen
+      if (diffState && diffState.tabId === id) closeSnapshotDiff();
       const m = getModel(id);
-      let content = null;
-      if (m) { content = m.getValue(); m.dispose(); models.delete(id); }
+      recordClosed(getTab(id), m ? m.getValue() : null);
 
-      // drop storage
-      if (content === null) content = localStorage.getItem(modelKey(id));
-      localStorage.removeItem(modelKey(id));
-
-      // push to stack and persistent history for reopen
-      const tmeta = getTab(id);
-      if (tmeta) {
-        const histObj = { ...tmeta, value: content, _hid: (crypto && crypto.randomUUID ? crypto.randomUUID() : String(Date.now()+Math.random())), closedAt: Date.now() };
-        closedStack.push(histObj);
-        pushClosedHistory(histObj);
-      }
+      // dispose model (after detaching it from an open snapshot diff) and drop storage
+      if (m) { m.dispose(); models.delete(id); }
+      cancelSave(id);
+      clearConflict(id);
+      clearFileConflict(id);
+      syncedTokens.delete(id);
+      store.remove(modelKey(id)).catch(() => {});
+      store.remove(snapshotKey(id)).catch(() => {});
+      putFileHandle(id, null);
 
       // choose next active
       const closingActive = id === activeTabId;
       tabs.splice(idx, 1);
       persistTabs();
+      broadcast({ type: 'tab-closed', id });
       updateTabbar();
 
       if (closingActive) {
         const next = tabs[idx] || tabs[idx - 1];
         setActive(next.id);
       }
-      // refocus editor after closing
-      focusEditorAtEnd();
+      // refocus editor after closing, keeping the current tab's position
+      editor.focus();
+    }
+
+    async function confirmClosePinned(tab) {
+      const choice = await openDialog({
+        title: 'Close pinned tab?',
+        message: `${tabLabel(tab)} is pinned. Close it anyway, or unpin it to close it like any other tab?`,
+        buttons: [
+          { label: 'Close', value: 'close' },
+          { label: 'Unpin', value: 'unpin' },
+          { label: 'Keep Open', value: null, primary: true },
+        ],
+      });
+      if (!getTab(tab.id)) return;
+      if (choice === 'unpin') setTabPinned(tab.id, false);
+      else if (choice === 'close') closeTab(tab.id, { confirmed: true });
+    }
+
+    // Add a closing tab to the reopen stack and the recently closed list.
+    // `value` is its live text, or null to use what is stored. Encrypted tabs
+    // are recorded as ciphertext: the live text when it can be encrypted,
+    // otherwise their last saved content.
+    function recordClosed(tab, value) {
+      if (!tab) return;
+      const stored = store.get(modelKey(tab.id));
+      // `pinned` on a history entry means something else (kept regardless of limits)
+      const { pinned, ...meta } = tab;
+      const hist = { ...meta, value: value ?? stored, _hid: uuid(), closedAt: Date.now() };
+      const record = (entry) => {
+        closedStack.push(entry);
+        pushClosedHistory(entry);
+      };
+      if (!tab.encrypted) { record(hist); return; }
+      const sealed = (value !== null && vaultKey) ? sealText(value).catch(() => stored) : Promise.resolve(stored);
+      sealed.then(cipher => record({ ...hist, value: cipher ?? defaultContent() }));
     }
 
     function reopenClosedTab() {
@@ -582,7 +3683,7 @@ PY`;
       } else if (last._hid) {
         removeHistoryByHid(last._hid);
       }
-      createTab(last.name, last.language, last.value ?? defaultContent(), last.color);
+      createTab(last.name, last.language, last.value ?? defaultContent(), last.color, reopenOptions(last));
     }
 
     function renameTab(id, newName, options = {}) {
@@ -592,13 +3693,16 @@ PY`;
       if (t.name === normalized) return;
       t.name = normalized;
       persistTabs();
+      broadcast({ type: 'tab-updated', id, patch: { name: normalized } });
+      // the window that renamed it detects the language and announces it
+      if (!applyingRemote) detectTabLanguage(id);
       if (options.skipDom) return;
       const tabEl = tabsHostEl?.querySelector(`.tab[data-id="${id}"]`);
       if (!tabEl) {
         updateTabbar();
         return;
       }
-      tabEl.title = t.name ? t.name : 'Add title';
+      tabEl.title = tabTooltip(t);
       const nameEl = tabEl.querySelector('.name');
       if (nameEl) {
         nameEl.textContent = t.name || '';
@@ -614,10 +3718,31 @@ PY`;
       if (t.color === normalized) return;
       t.color = normalized;
       persistTabs();
-      const swatch = tabsHostEl?.querySelector(`.tab[data-id="${id}"] .tab-color`);
+      broadcast({ type: 'tab-updated', id, patch: { color: normalized } });
+      const tabEl = tabsHostEl?.querySelector(`.tab[data-id="${id}"]`);
+      const swatch = tabEl?.querySelector('.tab-color');
       if (swatch) {
         swatch.style.setProperty('--tag-color', normalized);
         swatch.style.backgroundColor = normalized;
+        swatch.title = tagButtonTitle(normalized);
+      }
+      if (tabEl) tabEl.title = tabTooltip(t);
+      // a tab that changes color changes group
+      if (groupByColor && !t.pinned && !renameState) updateTabbar();
+      else applyTabFilter();
+    }
+
+    function setTabLanguage(id, lang) {
+      const t = getTab(id);
+      if (!t || !lang || t.language === lang) return;
+      t.language = lang;
+      const model = getModel(id);
+      if (model) monaco.editor.setModelLanguage(model, lang);
+      persistTabs();
+      broadcast({ type: 'tab-updated', id, patch: { language: lang } });
+      if (id === activeTabId && languageSelect.value !== lang) {
+        languageSelect.value = lang;
+        fitSelectWidth(languageSelect);
       }
     }
 
@@ -628,11 +3753,17 @@ PY`;
 
       const palette = document.createElement('div');
       palette.className = 'tab-color-palette';
+      // names the tag under the pointer, or the tab's own
+      const label = document.createElement('span');
+      label.className = 'tag-label';
+      const showLabel = color => { label.textContent = tagName(color); };
 
-      TAG_COLORS.forEach((hex) => {
+      tagSet.forEach(({ color: hex }) => {
         const btn = document.createElement('button');
         btn.type = 'button';
         btn.style.setProperty('--swatch-color', hex);
+        btn.title = tagName(hex);
+        btn.setAttribute('aria-label', tagName(hex));
         if (normalizeColor(hex) === normalizeColor(tab.color)) {
           btn.classList.add('active');
         }
@@ -641,9 +3772,38 @@ PY`;
           setTabColor(tab.id, hex);
           closeColorPalette();
         });
+        btn.addEventListener('pointerenter', () => showLabel(hex));
+        btn.addEventListener('focus', () => showLabel(hex));
+        btn.addEventListener('pointerleave', () => showLabel(tab.color));
         palette.appendChild(btn);
       });
 
+      // any color; it joins the tag set, unnamed
+      const custom = document.createElement('input');
+      custom.type = 'color';
+      custom.className = 'custom';
+      custom.value = normalizeColor(tab.color).toLowerCase();
+      custom.title = 'Custom color…';
+      custom.setAttribute('aria-label', 'Custom color');
+      custom.addEventListener('change', () => {
+        addTag(custom.value);
+        setTabColor(tab.id, custom.value);
+        closeColorPalette();
+      });
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'edit';
+      edit.textContent = '✎';
+      edit.title = 'Edit tags…';
+      edit.setAttribute('aria-label', 'Edit tags');
+      edit.addEventListener('click', (event) => {
+        event.stopPropagation();
+        closeColorPalette();
+        editTags();
+      });
+      palette.append(custom, edit, label);
+      showLabel(tab.color);
+
       document.body.appendChild(palette);
 
       const anchorRect = anchorEl.getBoundingClientRect();
@@ -678,7 +3838,7 @@ PY`;
         if (tab.id !== activeTabId) {
           setActive(tab.id);
         } else {
-          focusEditorAtEnd();
+          editor.focus(); // keeps the cursor and scroll position
         }
       });
       return nameSpan;
@@ -708,12 +3868,12 @@ PY`;
           const nameSpan = createNameSpan(tab);
           input.replaceWith(nameSpan);
         }
-        if (tabEl) tabEl.title = tab.name ? tab.name : 'Add title';
+        if (tabEl) tabEl.title = tabTooltip(tab);
       } else if (input.isConnected) {
         input.remove();
       }
       if (options.focusEditor !== false) {
-        setTimeout(() => focusEditorAtEnd(), 0);
+        setTimeout(() => editor.focus(), 0);
       }
     }
 
@@ -725,12 +3885,12 @@ PY`;
       if (tab && input.isConnected) {
         const nameSpan = createNameSpan(tab);
         input.replaceWith(nameSpan);
-        if (tabEl) tabEl.title = tab.name ? tab.name : 'Add title';
+        if (tabEl) tabEl.title = tabTooltip(tab);
       } else if (input.isConnected) {
         input.remove();
       }
       if (options.focusEditor !== false) {
-        setTimeout(() => focusEditorAtEnd(), 0);
+        setTimeout(() => editor.focus(), 0);
       }
     }
 
@@ -741,136 +3901,178 @@ PY`;
       if (renameState) commitRename({ focusEditor: false });
       closeColorPalette();
 
-      [...container.querySelectorAll('.tab')].forEach(n => n.remove());
-
-      tabs.forEach(tab => {
-        const colorValue = normalizeColor(tab.color);
-        const el = document.createElement('div');
-        el.className = 'tab' + (tab._dirty ? ' dirty' : '');
-        el.dataset.id = tab.id;
-        el.title = tab.name ? tab.name : 'Add title';
-        el.setAttribute('role', 'tab');
-        setTabElActiveState(el, tab.id === activeTabId);
-
-        const dot = document.createElement('span');
-        dot.className = 'dirty-dot';
-        el.appendChild(dot);
-
-        const tagBtn = document.createElement('button');
-        tagBtn.type = 'button';
-        tagBtn.className = 'tab-color';
-        tagBtn.style.setProperty('--tag-color', colorValue);
-        tagBtn.style.backgroundColor = colorValue;
-        tagBtn.title = 'Change tab color (Alt click to cycle, Shift click to reset)';
-        el.appendChild(tagBtn);
-
-        const cyclePreset = () => {
-          const current = normalizeColor(tab.color);
-          const idx = TAG_COLORS.indexOf(current);
-          const next = TAG_COLORS[(idx + 1) % TAG_COLORS.length];
-          setTabColor(tab.id, next);
-          closeColorPalette();
-        };
+      [...container.querySelectorAll('.tab, .tab-group')].forEach(n => n.remove());
 
-        tagBtn.addEventListener('click', (event) => {
-          event.stopPropagation();
-          if (event.shiftKey) {
-            event.preventDefault();
-            setTabColor(tab.id, DEFAULT_TAG_COLOR);
-            closeColorPalette();
-            return;
-          }
-          if (event.altKey) {
-            event.preventDefault();
-            cyclePreset();
-            return;
-          }
-          openColorPalette(tagBtn, tab);
-        });
-        tagBtn.addEventListener('contextmenu', (event) => {
+      if (sortPinnedFirst()) persistTabs();
+      if (groupByColor) {
+        appendGroupedTabs(container);
+      } else {
+        tabs.forEach(tab => container.appendChild(createTabEl(tab)));
+      }
+      applyTabFilter();
+
+      if (addTabBtn && addTabBtn.parentElement !== tabbarEl) {
+        tabbarEl.appendChild(addTabBtn);
+      }
+
+      ensureActiveTabVisible();
+      if (scrollToEndNext) { scrollToEnd(); scrollToEndNext = false; }
+    }
+
+    const tabTooltip = (tab) => {
+      let title = (tab.name ? tab.name : 'Add title') + (tab.pinned ? ' (pinned)' : '');
+      if (tagLabel(tab.color)) title += `\nTag: ${tagLabel(tab.color)}`;
+      if (!tab.file) return title;
+      return `${title}\nFile: ${tab.file.name}${tab.file.modified ? ' (changes not saved to disk)' : ''}`;
+    };
+    const tagButtonTitle = color => `${tagLabel(color) ? `${tagLabel(color)}: c` : 'C'}hange tab color (Alt click to cycle, Shift click to reset)`;
+
+    function createTabEl(tab) {
+      const colorValue = normalizeColor(tab.color);
+      const el = document.createElement('div');
+      el.className = 'tab' + (tab._dirty ? ' dirty' : '') + (isLocked(tab) ? ' locked' : '')
+        + (tab.file ? ' file-linked' : '') + (tab.file?.modified ? ' file-modified' : '')
+        + (tab.pinned ? ' pinned' : '');
+      el.dataset.id = tab.id;
+      el.title = tabTooltip(tab);
+      el.setAttribute('role', 'tab');
+      setTabElActiveState(el, tab.id === activeTabId);
+
+      const dot = document.createElement('span');
+      dot.className = 'dirty-dot';
+      el.appendChild(dot);
+
+      const tagBtn = document.createElement('button');
+      tagBtn.type = 'button';
+      tagBtn.className = 'tab-color';
+      tagBtn.style.setProperty('--tag-color', colorValue);
+      tagBtn.style.backgroundColor = colorValue;
+      tagBtn.title = tagButtonTitle(colorValue);
+      el.appendChild(tagBtn);
+
+      const cyclePreset = () => {
+        const current = normalizeColor(tab.color);
+        const colors = tagColors();
+        const next = colors[(colors.indexOf(current) + 1) % colors.length];
+        setTabColor(tab.id, next);
+        closeColorPalette();
+      };
+
+      tagBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (event.shiftKey) {
+          event.preventDefault();
+          setTabColor(tab.id, DEFAULT_TAG_COLOR);
+          closeColorPalette();
+          return;
+        }
+        if (event.altKey) {
           event.preventDefault();
+          cyclePreset();
+          return;
+        }
+        openColorPalette(tagBtn, tab);
+      });
+      tagBtn.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        openColorPalette(tagBtn, tab);
+      });
+
+      if (tab.encrypted) {
+        const lock = document.createElement('button');
+        lock.type = 'button';
+        lock.className = 'tab-lock';
+        lock.textContent = '🔒';
+        lock.title = isLocked(tab) ? 'Encrypted and locked (click to unlock)' : 'Encrypted';
+        lock.setAttribute('aria-label', lock.title);
+        lock.addEventListener('click', (event) => {
           event.stopPropagation();
-          openColorPalette(tagBtn, tab);
+          if (isLocked(tab)) unlockTabs();
+          else setActive(tab.id);
         });
+        el.appendChild(lock);
+      }
 
-        const nameSpan = createNameSpan(tab);
-        el.appendChild(nameSpan);
+      if (tab.pinned) {
+        const pin = document.createElement('span');
+        pin.className = 'pin-icon';
+        pin.textContent = '📌';
+        pin.setAttribute('aria-hidden', 'true');
+        el.appendChild(pin);
+        el.setAttribute('aria-label', `${tab.name || 'Untitled'} (pinned)`);
+      }
 
-        const close = document.createElement('span');
-        close.className = 'close';
-        close.textContent = '×';
-        close.title = 'Close (Ctrl/Cmd+W)';
-        close.addEventListener('click', (event) => {
-          event.stopPropagation();
-          closeTab(tab.id);
-        });
-        el.appendChild(close);
+      const nameSpan = createNameSpan(tab);
+      el.appendChild(nameSpan);
 
-        let downState = null;
-        const onPointerDown = (event) => {
-          if (event.button !== 0) return;
-          if (isTabInteractiveTarget(event.target)) return;
-          downState = { id: event.pointerId, x: event.clientX, y: event.clientY };
-        };
-        const onPointerUp = (event) => {
-          if (!downState || downState.id !== event.pointerId) return;
-          const dx = event.clientX - downState.x;
-          const dy = event.clientY - downState.y;
-          downState = null;
-          if (Math.hypot(dx, dy) <= TAB_ACTIVATE_THRESHOLD) {
-            setActive(tab.id);
-          }
-        };
-        const onPointerCancel = (event) => {
-          if (downState && downState.id === event.pointerId) downState = null;
-        };
-        const onMouseDown = (event) => {
-          if (event.button !== 0) return;
-          if (isTabInteractiveTarget(event.target)) return;
-          downState = { x: event.clientX, y: event.clientY };
-        };
-        const onMouseUp = (event) => {
-          if (!downState) return;
-          const dx = event.clientX - downState.x;
-          const dy = event.clientY - downState.y;
-          downState = null;
-          if (Math.hypot(dx, dy) <= TAB_ACTIVATE_THRESHOLD) {
-            setActive(tab.id);
-          }
-        };
-        const onMouseLeave = () => { downState = null; };
+      const close = document.createElement('span');
+      close.className = 'close';
+      close.textContent = '×';
+      close.title = 'Close (Ctrl/Cmd+W)';
+      close.addEventListener('click', (event) => {
+        event.stopPropagation();
+        closeTab(tab.id);
+      });
+      el.appendChild(close);
 
-        if ('PointerEvent' in window) {
-          el.addEventListener('pointerdown', onPointerDown);
-          el.addEventListener('pointerup', onPointerUp);
-          el.addEventListener('pointercancel', onPointerCancel);
-        } else {
-          el.addEventListener('mousedown', onMouseDown);
-          el.addEventListener('mouseup', onMouseUp);
-          el.addEventListener('mouseleave', onMouseLeave);
+      let downState = null;
+      const onPointerDown = (event) => {
+        if (event.button !== 0) return;
+        if (isTabInteractiveTarget(event.target)) return;
+        downState = { id: event.pointerId, x: event.clientX, y: event.clientY };
+      };
+      const onPointerUp = (event) => {
+        if (!downState || downState.id !== event.pointerId) return;
+        const dx = event.clientX - downState.x;
+        const dy = event.clientY - downState.y;
+        downState = null;
+        if (Math.hypot(dx, dy) <= TAB_ACTIVATE_THRESHOLD) {
+          setActive(tab.id);
         }
-
-        el.addEventListener('click', (event) => {
-          if (event.defaultPrevented) return;
-          if (isTabInteractiveTarget(event.target)) return;
+      };
+      const onPointerCancel = (event) => {
+        if (downState && downState.id === event.pointerId) downState = null;
+      };
+      const onMouseDown = (event) => {
+        if (event.button !== 0) return;
+        if (isTabInteractiveTarget(event.target)) return;
+        downState = { x: event.clientX, y: event.clientY };
+      };
+      const onMouseUp = (event) => {
+        if (!downState) return;
+        const dx = event.clientX - downState.x;
+        const dy = event.clientY - downState.y;
+        downState = null;
+        if (Math.hypot(dx, dy) <= TAB_ACTIVATE_THRESHOLD) {
           setActive(tab.id);
-        });
-        el.addEventListener('dblclick', (event) => {
-          if (event.defaultPrevented) return;
-          if (isTabInteractiveTarget(event.target)) return;
-          event.preventDefault();
-          requestRename(tab.id);
-        });
-
-        container.appendChild(el);
-      });
+        }
+      };
+      const onMouseLeave = () => { downState = null; };
 
-      if (addTabBtn && addTabBtn.parentElement !== tabbarEl) {
-        tabbarEl.appendChild(addTabBtn);
+      if ('PointerEvent' in window) {
+        el.addEventListener('pointerdown', onPointerDown);
+        el.addEventListener('pointerup', onPointerUp);
+        el.addEventListener('pointercancel', onPointerCancel);
+      } else {
+        el.addEventListener('mousedown', onMouseDown);
+        el.addEventListener('mouseup', onMouseUp);
+        el.addEventListener('mouseleave', onMouseLeave);
       }
 
-      ensureActiveTabVisible();
-      if (scrollToEndNext) { scrollToEnd(); scrollToEndNext = false; }
+      el.addEventListener('click', (event) => {
+        if (event.defaultPrevented) return;
+        if (isTabInteractiveTarget(event.target)) return;
+        setActive(tab.id);
+      });
+      el.addEventListener('dblclick', (event) => {
+        if (event.defaultPrevented) return;
+        if (isTabInteractiveTarget(event.target)) return;
+        event.preventDefault();
+        requestRename(tab.id);
+      });
+
+      return el;
     }
 
     function setTabDirty(id, dirty) {
@@ -880,6 +4082,16 @@ PY`;
       if (el) el.classList.toggle('dirty', !!dirty);
     }
 
+    // Rebuild one tab's element, e.g. after it was locked or unlocked.
+    function refreshTabEl(id) {
+      const tab = getTab(id);
+      const el = tabsHostEl?.querySelector(`.tab[data-id="${id}"]`);
+      if (!tab || !el || (renameState && renameState.tabId === id)) return;
+      if (colorPaletteState && colorPaletteState.tabId === id) closeColorPalette();
+      el.replaceWith(createTabEl(tab));
+      applyTabFilter();
+    }
+
     function startInlineRename(tab, nameSpan) {
       if (!tab || !nameSpan || renameState) return;
       const input = document.createElement('input');
@@ -908,6 +4120,788 @@ PY`;
       input.addEventListener('blur', () => commitRename());
     }
 
+    // ---- Tag labels ----
+    // The tag set is shared by every workspace (tags.js). Deleting a tag
+    // recolors the tabs with it, in every workspace and in the closed
+    // history, to the default tag; changing a tag's color takes its tabs along.
+    function addTag(color) {
+      const normalized = normalizeColor(color, null);
+      if (!normalized || tagColors().includes(normalized)) return;
+      tagSet = saveTags([...tagSet, { color: normalized, name: '' }]);
+    }
+
+    // After the tag set changed here or in another window.
+    function refreshTagLabels() {
+      closeColorPalette();
+      closeTagMenu();
+      tabsHostEl?.querySelectorAll('.tab').forEach((el) => {
+        const tab = getTab(el.dataset.id);
+        if (!tab) return;
+        el.title = tabTooltip(tab);
+        const swatch = el.querySelector('.tab-color');
+        if (swatch) swatch.title = tagButtonTitle(tab.color);
+      });
+      if (groupByColor && !renameState) updateTabbar(); // groups follow the palette order
+      else applyTabFilter();
+    }
+
+    function tagEditorRow(list, { color, name = '', from = null }) {
+      const row = document.createElement('div');
+      row.className = 'tag-row';
+      row.dataset.from = from || '';
+      const picker = document.createElement('input');
+      picker.type = 'color';
+      picker.value = color.toLowerCase();
+      picker.setAttribute('aria-label', 'Color');
+      const label = document.createElement('input');
+      label.type = 'text';
+      label.value = name;
+      label.placeholder = color;
+      label.maxLength = 40;
+      label.setAttribute('aria-label', 'Label');
+      picker.addEventListener('input', () => { label.placeholder = normalizeColor(picker.value); });
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '✕';
+      // tabs fall back to the default tag, so it stays
+      if (from === DEFAULT_TAG_COLOR) {
+        picker.disabled = true;
+        remove.disabled = true;
+        remove.title = 'Tabs whose tag is deleted get this one';
+      } else {
+        remove.title = 'Delete tag';
+      }
+      remove.setAttribute('aria-label', 'Delete tag');
+      remove.addEventListener('click', () => row.remove());
+      row.append(picker, label, remove);
+      list.appendChild(row);
+      return label;
+    }
+
+    async function editTags() {
+      commitRename({ focusEditor: false });
+      const body = document.createElement('div');
+      body.className = 'tag-editor';
+      const list = document.createElement('div');
+      list.className = 'tag-list';
+      tagSet.forEach(({ color, name }) => tagEditorRow(list, { color, name, from: color }));
+      const add = document.createElement('button');
+      add.type = 'button';
+      add.textContent = 'Add Tag';
+      add.addEventListener('click', () => {
+        const unused = ['#5AC8FA', '#FF2D55', '#A2845E', '#30B0C7', '#000000'].find(c => !tagColors().includes(c)) || '#000000';
+        tagEditorRow(list, { color: unused }).focus();
+      });
+      body.append(list, add);
+      const ok = await openDialog({
+        title: 'Tags',
+        message: 'Name the colors you tag tabs with. Tabs with a deleted tag get the gray one.',
+        body,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Save', value: true, primary: true }],
+      });
+      if (!ok) return;
+
+      const rows = [...list.querySelectorAll('.tag-row')].map(row => ({
+        from: row.dataset.from || null,
+        color: normalizeColor(row.querySelector('input[type="color"]').value),
+        name: normalizeTagName(row.querySelector('input[type="text"]').value),
+      }));
+      const previous = tagColors();
+      tagSet = saveTags(rows);
+      const kept = tagColors();
+      // old colors whose tag got a new color, and those whose tag was deleted
+      const moves = new Map();
+      const deleted = new Set();
+      previous.forEach((color) => {
+        const row = rows.find(r => r.from === color);
+        if (!row || !kept.includes(row.color)) deleted.add(color);
+        else if (row.color !== color) moves.set(color, row.color);
+      });
+      const recolor = new Map([...moves, ...[...deleted].map(c => [c, DEFAULT_TAG_COLOR])]);
+      tabs.forEach((tab) => {
+        const to = recolor.get(normalizeColor(tab.color));
+        if (to) setTabColor(tab.id, to);
+      });
+      if (recolor.size) {
+        recolorStoredTabs(recolor).catch(err => reportStorageError('tag colors', err));
+        const remap = colors => [...new Set([...colors].filter(c => !deleted.has(c)).map(c => moves.get(c) || c))];
+        const collapsed = remap(collapsedGroups);
+        collapsedGroups.clear();
+        collapsed.forEach(c => collapsedGroups.add(c));
+        localStorage.setItem(COLLAPSED_GROUPS_KEY, JSON.stringify(collapsed));
+        setTagFilter(remap(tagFilter));
+      }
+      refreshTagLabels();
+    }
+
+    // The tag set is shared, so the other workspaces' tabs and the closed
+    // histories follow its changes too; windows showing them are told like
+    // for any other change to their tabs.
+    async function recolorStoredTabs(recolor) {
+      const moved = t => (t && recolor.has(normalizeColor(t.color)) ? { ...t, color: recolor.get(normalizeColor(t.color)) } : t);
+      for (const ws of workspaces) {
+        if (ws.id === currentWorkspaceId) continue;
+        const key = wsKey(ws.id, TABS_KEY);
+        await store.reload([key]);
+        const list = store.get(key, []);
+        if (!Array.isArray(list)) continue;
+        const next = list.map(moved);
+        if (next.every((t, i) => t === list[i])) continue;
+        await store.set(key, next);
+        next.forEach((t, i) => {
+          if (t !== list[i]) broadcast({ type: 'tab-updated', ws: ws.id, id: t.id, patch: { color: t.color } });
+        });
+      }
+      const historyKeys = new Set([HISTORY_KEY, ...workspaces.filter(w => w.ownHistory).map(w => wsKey(w.id, HISTORY_KEY))]);
+      for (const key of historyKeys) {
+        if (key !== historyKey()) await store.reload([key]);
+        const list = key === historyKey() ? closedHistory : store.get(key, []);
+        if (!Array.isArray(list)) continue;
+        const next = list.map(moved);
+        if (next.every((h, i) => h === list[i])) continue;
+        if (key === historyKey()) {
+          closedHistory = next;
+          persistHistory();
+          if (historyPanel && !historyPanel.hidden) renderHistory();
+        } else {
+          await store.set(key, next);
+          broadcast({ type: 'history', key, history: next });
+        }
+      }
+    }
+
+    window.addEventListener('storage', (e) => {
+      if (e.key !== null && e.key !== TAGS_KEY) return;
+      tagSet = loadTags();
+      refreshTagLabels();
+    });
+    editor.addAction({ id: 'tags.edit', label: 'Tags: Edit Tags…', run: () => { editTags(); } });
+
+    // ---- Tag filter and color groups ----
+    // The filter shows only tabs with the chosen colors; pinned tabs and the
+    // active tab always show. Grouping clusters the other tabs by color
+    // behind a header that collapses its group. Each color also has bulk
+    // actions: close, export, recolor and change language.
+    const isTabFiltered = tab => !tab.pinned && tab.id !== activeTabId && tagFilter.size > 0 && !tagFilter.has(normalizeColor(tab.color));
+    const isTabCollapsed = tab => groupByColor && !tab.pinned && tab.id !== activeTabId && collapsedGroups.has(normalizeColor(tab.color));
+    const tabsInView = () => tabs.filter(t => !isTabFiltered(t) && !isTabCollapsed(t));
+
+    // Tag colors in palette order, then any others the tabs use.
+    const colorsInUse = () => [...new Set([...tagColors(), ...tabs.map(t => normalizeColor(t.color))])];
+
+    function appendGroupedTabs(container) {
+      tabs.filter(t => t.pinned).forEach(tab => container.appendChild(createTabEl(tab)));
+      colorsInUse().forEach((color) => {
+        const members = tabs.filter(t => !t.pinned && normalizeColor(t.color) === color);
+        if (!members.length) return;
+        container.appendChild(createGroupHeader(color));
+        members.forEach(tab => container.appendChild(createTabEl(tab)));
+      });
+    }
+
+    function createGroupHeader(color) {
+      const header = document.createElement('button');
+      header.type = 'button';
+      header.className = 'tab-group';
+      header.dataset.color = color;
+      const swatch = document.createElement('span');
+      swatch.className = 'swatch';
+      swatch.style.background = color;
+      const count = document.createElement('span');
+      count.className = 'count';
+      header.append(swatch, count);
+      header.addEventListener('click', () => toggleGroupCollapsed(color));
+      header.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        runTagAction(color);
+      });
+      return header;
+    }
+
+    function toggleGroupCollapsed(color) {
+      if (collapsedGroups.has(color)) collapsedGroups.delete(color);
+      else collapsedGroups.add(color);
+      localStorage.setItem(COLLAPSED_GROUPS_KEY, JSON.stringify([...collapsedGroups]));
+      applyTabFilter();
+    }
+
+    // Shows and hides tabs and group headers for the current filter; cheap
+    // enough to run after any change to the tab list.
+    function applyTabFilter() {
+      if (!tabsHostEl) return;
+      tabsHostEl.querySelectorAll('.tab').forEach((el) => {
+        const tab = getTab(el.dataset.id);
+        el.hidden = !!tab && (isTabFiltered(tab) || isTabCollapsed(tab));
+      });
+      tabsHostEl.querySelectorAll('.tab-group').forEach((header) => {
+        const { color } = header.dataset;
+        const n = tabs.filter(t => !t.pinned && normalizeColor(t.color) === color).length;
+        const collapsed = collapsedGroups.has(color);
+        header.hidden = !n || (tagFilter.size > 0 && !tagFilter.has(color));
+        header.classList.toggle('collapsed', collapsed);
+        header.setAttribute('aria-expanded', String(!collapsed));
+        header.querySelector('.count').textContent = String(n);
+        header.title = `${tagName(color)}: ${n} tab${n === 1 ? '' : 's'} (click to ${collapsed ? 'expand' : 'collapse'}, right click for actions)`;
+      });
+      updateTagFilterButton();
+    }
+
+    function updateTagFilterButton() {
+      if (!tagFilterBtn) return;
+      tagFilterBtn.replaceChildren();
+      if (tagFilter.size) {
+        [...tagFilter].slice(0, 3).forEach((color) => {
+          const dot = document.createElement('span');
+          dot.className = 'swatch';
+          dot.style.background = color;
+          tagFilterBtn.appendChild(dot);
+        });
+      } else {
+        tagFilterBtn.textContent = '◌';
+      }
+      tagFilterBtn.classList.toggle('active', tagFilter.size > 0 || groupByColor);
+      const label = tagFilter.size
+        ? `Showing tabs tagged ${[...tagFilter].map(tagName).join(', ')} (click to change)`
+        : 'Filter and group tabs by color tag';
+      tagFilterBtn.title = label;
+      tagFilterBtn.setAttribute('aria-label', label);
+    }
+
+    function setTagFilter(colors) {
+      tagFilter = new Set(colors);
+      if (tagFilter.size) localStorage.setItem(TAG_FILTER_KEY, JSON.stringify([...tagFilter]));
+      else localStorage.removeItem(TAG_FILTER_KEY);
+      applyTabFilter();
+      ensureActiveTabVisible();
+    }
+
+    function setGroupByColor(grouped) {
+      if (groupByColor === grouped) return;
+      groupByColor = grouped;
+      localStorage.setItem(GROUP_BY_COLOR_KEY, grouped ? '1' : '0');
+      updateTabbar();
+    }
+
+    const closeTagMenu = () => {
+      if (!tagMenuState) return;
+      tagMenuState.el.remove();
+      tagMenuState.cleanup();
+      tagMenuState = null;
+    };
+
+    // The popover under the filter button: a toggle per color with its tab
+    // count and actions, "Show all", and the grouping switch.
+    function openTagMenu() {
+      if (tagMenuState) { closeTagMenu(); return; }
+      closeColorPalette();
+      const menu = document.createElement('div');
+      menu.className = 'tag-menu';
+      menu.setAttribute('role', 'dialog');
+      menu.setAttribute('aria-label', 'Filter tabs by color');
+
+      const render = () => {
+        menu.replaceChildren();
+        colorsInUse().forEach((color) => {
+          const n = tabs.filter(t => normalizeColor(t.color) === color).length;
+          const row = document.createElement('div');
+          row.className = 'row';
+          const toggle = document.createElement('button');
+          toggle.type = 'button';
+          toggle.className = 'toggle' + (tagFilter.has(color) ? ' on' : '');
+          toggle.setAttribute('aria-pressed', String(tagFilter.has(color)));
+          const swatch = document.createElement('span');
+          swatch.className = 'swatch';
+          swatch.style.background = color;
+          toggle.append(swatch, ` ${tagName(color)} (${n})`);
+          toggle.addEventListener('click', () => {
+            const next = new Set(tagFilter);
+            if (next.has(color)) next.delete(color);
+            else next.add(color);
+            setTagFilter(next);
+            render();
+            menu.querySelector(`.toggle[data-color="${color}"]`)?.focus();
+          });
+          toggle.dataset.color = color;
+          const more = document.createElement('button');
+          more.type = 'button';
+          more.className = 'more';
+          more.textContent = '⋯';
+          more.title = `Actions for tabs tagged ${tagName(color)}`;
+          more.setAttribute('aria-label', more.title);
+          more.disabled = !n;
+          more.addEventListener('click', () => { closeTagMenu(); runTagAction(color); });
+          row.append(toggle, more);
+          menu.appendChild(row);
+        });
+        const footer = document.createElement('div');
+        footer.className = 'footer';
+        const all = document.createElement('button');
+        all.type = 'button';
+        all.textContent = 'Show all';
+        all.disabled = !tagFilter.size;
+        all.addEventListener('click', () => { setTagFilter([]); render(); });
+        const group = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = groupByColor;
+        box.addEventListener('change', () => setGroupByColor(box.checked));
+        group.append(box, ' Group by color');
+        footer.append(all, group);
+        menu.appendChild(footer);
+      };
+      render();
+      document.body.appendChild(menu);
+
+      const anchor = tagFilterBtn.getBoundingClientRect();
+      const rect = menu.getBoundingClientRect();
+      menu.style.top = `${Math.round(anchor.bottom + window.scrollY + 6)}px`;
+      menu.style.left = `${Math.round(Math.max(6, Math.min(anchor.right - rect.width, window.innerWidth - rect.width - 6)))}px`;
+      menu.querySelector('button:not(:disabled)')?.focus();
+
+      const onDocPointer = (event) => {
+        if (menu.contains(event.target) || tagFilterBtn.contains(event.target)) return;
+        closeTagMenu();
+      };
+      const onKey = (event) => {
+        if (event.key !== 'Escape') return;
+        event.preventDefault();
+        closeTagMenu();
+        tagFilterBtn.focus();
+      };
+      document.addEventListener('pointerdown', onDocPointer, true);
+      menu.addEventListener('keydown', onKey);
+      tagMenuState = {
+        el: menu,
+        cleanup: () => document.removeEventListener('pointerdown', onDocPointer, true),
+      };
+    }
+
+    async function runTagAction(color) {
+      const members = () => tabs.filter(t => normalizeColor(t.color) === color);
+      const n = members().length;
+      if (!n) return;
+      const action = await openDialog({
+        title: `Tabs tagged ${tagName(color)}`,
+        message: `${n} tab${n === 1 ? '' : 's'} in this workspace.`,
+        buttons: [
+          { label: 'Close All…', value: 'close' },
+          { label: 'Export…', value: 'export' },
+          { label: 'Recolor…', value: 'recolor' },
+          { label: 'Change Language…', value: 'language' },
+          // Enter picks nothing
+          { label: 'Cancel', value: null, primary: true },
+        ],
+      });
+      if (action === 'close') await closeTabsTagged(color);
+      else if (action === 'export') await exportTabsAsZip({ scope: color });
+      else if (action === 'recolor') await recolorTabsTagged(color);
+      else if (action === 'language') await setLanguageOfTabsTagged(color);
+    }
+
+    // Pinned tabs are left open; they only close one by one.
+    async function closeTabsTagged(color) {
+      const targets = tabs.filter(t => normalizeColor(t.color) === color);
+      const closable = targets.filter(t => !t.pinned);
+      const pinned = targets.length - closable.length;
+      if (!closable.length) {
+        showNotice('tags', { message: 'All of these tabs are pinned; unpin them to close them.', timeout: 4000 });
+        return;
+      }
+      const ok = await openDialog({
+        title: `Close ${closable.length} tab${closable.length === 1 ? '' : 's'}?`,
+        message: `The tabs tagged ${tagName(color)} go to Recently closed.${pinned ? ` ${pinned} pinned tab${pinned === 1 ? ' stays' : 's stay'} open.` : ''}`,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Close', value: true, primary: true }],
+      });
+      if (!ok) return;
+      closable.forEach(tab => closeTab(tab.id));
+    }
+
+    async function recolorTabsTagged(color) {
+      const body = document.createElement('div');
+      body.className = 'fields';
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', 'New color');
+      tagColors().filter(c => c !== color).forEach((c) => {
+        const opt = document.createElement('option');
+        opt.value = c;
+        opt.textContent = `● ${tagName(c)}`;
+        opt.style.color = c;
+        select.appendChild(opt);
+      });
+      body.appendChild(select);
+      const ok = await openDialog({
+        title: `Recolor tabs tagged ${tagName(color)}`,
+        body,
+        buttons: [{ label: 'Cancel', value: false }, { label: 'Recolor', value: true, primary: true }],
+      });
+      if (!ok) return;
+      tabs.filter(t => normalizeColor(t.color) === color).forEach(tab => setTabColor(tab.id, select.value));
+    }
+
+    async function setLanguageOfTabsTagged(color) {
+      const targets = tabs.filter(t => normalizeColor(t.color) === color);
+      const lang = await pickLanguage({
+        title: `Language of tabs tagged ${tagName(color)}`,
+        message: `Sets the language of ${targets.length} tab${targets.length === 1 ? '' : 's'} and stops detecting it for them.`,
+        current: getTab(activeTabId)?.language || 'markdown',
+      });
+      if (!lang) return;
+      targets.forEach((tab) => {
+        setTabLanguage(tab.id, lang);
+        setLanguageLocked(tab.id, true);
+      });
+    }
+
+    tagFilterBtn?.addEventListener('click', openTagMenu);
+    editor.addAction({ id: 'tags.filter', label: 'Tags: Filter Tabs by Color…', run: () => { openTagMenu(); } });
+    editor.addAction({ id: 'tags.showAll', label: 'Tags: Show All Tabs', run: () => setTagFilter([]) });
+    editor.addAction({ id: 'tags.onlyActiveColor', label: 'Tags: Show Only Tabs with This Color', run: () => setTagFilter([normalizeColor(getTab(activeTabId)?.color)]) });
+    editor.addAction({ id: 'tags.group', label: 'Tags: Group Tabs by Color (toggle)', run: () => setGroupByColor(!groupByColor) });
+    editor.addAction({ id: 'tags.actions', label: 'Tags: Act on Tabs with This Color…', run: () => { runTagAction(normalizeColor(getTab(activeTabId)?.color)); } });
+    applyTabFilter();
+
+    // ---- Tab order ----
+    // Tabs are dragged to a new place in the bar (see the tab bar gestures
+    // below) or moved with Ctrl/Cmd+Shift+PageUp/PageDown. The order is the
+    // order of the stored tab list, where pinned tabs always come first.
+
+    // Moves pinned tabs in front, keeping the order otherwise; true if anything moved.
+    function sortPinnedFirst() {
+      const sorted = [...tabs.filter(t => t.pinned), ...tabs.filter(t => !t.pinned)];
+      if (sorted.every((t, i) => t === tabs[i])) return false;
+      tabs = sorted;
+      return true;
+    }
+
+    // Pinned tabs render as just their color and a pin, stay at the left,
+    // and ask before closing.
+    function setTabPinned(id, pinned) {
+      const tab = getTab(id);
+      if (!tab || !!tab.pinned === pinned) return;
+      if (pinned) tab.pinned = true;
+      else delete tab.pinned;
+      sortPinnedFirst();
+      persistTabs();
+      broadcast({ type: 'tab-updated', id, patch: { pinned } });
+      refreshTabEl(id);
+      reorderTabEls();
+      if (id === activeTabId) ensureActiveTabVisible();
+    }
+
+    // Puts the tab elements in the order of `tabs`, moving the existing
+    // elements so an inline rename keeps its input.
+    function reorderTabEls() {
+      if (!tabsHostEl) return;
+      if (groupByColor) {
+        // order within the groups; rebuilt unless that would end a rename
+        if (!renameState) updateTabbar();
+        return;
+      }
+      const end = addTabBtn?.parentElement === tabsHostEl ? addTabBtn : null;
+      tabs.forEach((tab) => {
+        const el = tabsHostEl.querySelector(`.tab[data-id="${tab.id}"]`);
+        if (el) tabsHostEl.insertBefore(el, end);
+      });
+    }
+
+    // `index` is where the tab goes in the current list, counting the tab itself.
+    function moveTab(id, index) {
+      const from = tabs.findIndex(t => t.id === id);
+      if (from === -1) return;
+      // pinned and unpinned tabs each stay in their own part of the bar
+      const pinnedCount = tabs.filter(t => t.pinned).length;
+      const bounded = tabs[from].pinned ? Math.min(index, pinnedCount) : Math.max(index, pinnedCount);
+      const to = Math.max(0, Math.min(bounded > from ? bounded - 1 : bounded, tabs.length - 1));
+      if (to === from) return;
+      const [tab] = tabs.splice(from, 1);
+      tabs.splice(to, 0, tab);
+      persistTabs();
+      reorderTabEls();
+      broadcast({ type: 'tabs-reordered', order: tabs.map(t => t.id) });
+      if (id === activeTabId) ensureActiveTabVisible();
+    }
+
+    function moveActiveTab(delta) {
+      const from = tabs.findIndex(t => t.id === activeTabId);
+      if (from === -1) return;
+      if (groupByColor) {
+        showNotice('tab-order', { message: 'Tabs are grouped by color. Turn grouping off to move them.', timeout: 3000 });
+        return;
+      }
+      // past the next tab in view, not one the tag filter hides
+      const shown = tabsInView();
+      const neighbor = shown[shown.findIndex(t => t.id === activeTabId) + delta];
+      if (!neighbor) return;
+      const to = tabs.indexOf(neighbor);
+      moveTab(activeTabId, delta > 0 ? to + 1 : to);
+    }
+
+    function applyRemoteTabOrder({ order }) {
+      if (!Array.isArray(order)) return;
+      const rank = new Map(order.map((id, i) => [id, i]));
+      // tabs the other window doesn't know (yet) stay behind the ones it ordered
+      const position = t => (rank.has(t.id) ? rank.get(t.id) : order.length + tabs.indexOf(t));
+      const sorted = [...tabs].sort((a, b) => position(a) - position(b));
+      if (sorted.every((t, i) => t === tabs[i])) return;
+      tabs = sorted;
+      sortPinnedFirst();
+      persistTabs();
+      reorderTabEls();
+    }
+
+    editor.addAction({
+      id: 'tabs.togglePin',
+      label: 'Pin / Unpin Tab',
+      run: () => {
+        const tab = getTab(activeTabId);
+        if (tab) setTabPinned(tab.id, !tab.pinned);
+      },
+    });
+    editor.addAction({
+      id: 'tabs.moveLeft',
+      label: 'Move Tab Left',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.PageUp],
+      run: () => moveActiveTab(-1),
+    });
+    editor.addAction({
+      id: 'tabs.moveRight',
+      label: 'Move Tab Right',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.PageDown],
+      run: () => moveActiveTab(1),
+    });
+
+    // ---- Tab context menu ----
+    // Right click on a tab, or Shift+F10 / the context menu key while it has
+    // focus. Arrow keys, Home and End move through the items; Escape closes
+    // the menu and gives focus back to the tab. Commands that close several
+    // tabs leave pinned ones open.
+    let tabMenuState = null;
+
+    const closeTabMenu = ({ focusTab = false } = {}) => {
+      if (!tabMenuState) return;
+      const { el, tabId, cleanup } = tabMenuState;
+      tabMenuState = null;
+      el.remove();
+      cleanup();
+      if (focusTab) tabsHostEl?.querySelector(`.tab[data-id="${tabId}"]`)?.focus();
+    };
+
+    // Text of an unlocked tab; null (after saying why) for a locked one.
+    function unlockedText(tab) {
+      if (isLocked(tab)) {
+        showNotice('vault', { message: 'Unlock this tab first.', actions: [{ label: 'Unlock…', run: () => unlockTabs() }] });
+        return null;
+      }
+      return getModel(tab.id)?.getValue() ?? store.get(modelKey(tab.id)) ?? '';
+    }
+
+    function closeTabs(list) {
+      list.filter(t => !t.pinned && getTab(t.id)).forEach(t => closeTab(t.id));
+    }
+
+    function duplicateTab(id) {
+      const tab = getTab(id);
+      const value = tab ? unlockedText(tab) : null;
+      if (value === null) return;
+      const index = tabs.indexOf(tab);
+      createTab(tab.name ? `${tab.name} copy` : '', tab.language, value, tab.color, { encrypted: !!tab.encrypted });
+      // createTab activates the copy at the end of the bar
+      moveTab(activeTabId, index + 1);
+    }
+
+    async function copyTabContents(id) {
+      const tab = getTab(id);
+      const value = tab ? unlockedText(tab) : null;
+      if (value === null) return;
+      try {
+        await navigator.clipboard.writeText(value);
+        showNotice('clipboard', { message: `Copied ${tabLabel(tab)}.`, timeout: 2000 });
+      } catch (err) {
+        showNotice('clipboard', { kind: 'error', message: `Couldn't copy: ${err.message || err}.` });
+      }
+    }
+
+    async function changeTabLanguage(id) {
+      const tab = getTab(id);
+      if (!tab) return;
+      const lang = await pickLanguage({ title: `Language of ${tabLabel(tab)}`, current: tab.language });
+      if (!lang || !getTab(id)) return;
+      setTabLanguage(id, lang);
+      setLanguageLocked(id, true);
+    }
+
+    // The export commands work on the active tab.
+    async function exportTabFromMenu(id) {
+      const tab = getTab(id);
+      if (!tab) return;
+      if (id !== activeTabId) setActive(id);
+      const how = await openDialog({
+        title: `Export ${tabLabel(tab)}`,
+        buttons: [
+          { label: 'Cancel', value: null },
+          { label: 'HTML', value: 'html' },
+          { label: 'Print…', value: 'print' },
+          { label: 'Save as File', value: 'file', primary: true },
+        ],
+      });
+      if (activeTabId !== id) return;
+      if (how === 'file') saveCurrentTextAsFile();
+      else if (how === 'html') exportTabAsHtml();
+      else if (how === 'print') printTab();
+    }
+
+    function tabMenuItems(tab) {
+      const index = tabs.indexOf(tab);
+      const others = tabs.filter(t => t !== tab && !t.pinned);
+      const right = tabs.slice(index + 1).filter(t => !t.pinned);
+      const saved = tabs.filter(t => !t.pinned && !t._dirty && !t.file?.modified);
+      // shortcuts act on the active tab
+      const keys = combo => (tab.id === activeTabId ? combo : '');
+      return [
+        { label: 'Close', keys: keys('Ctrl/Cmd+W'), run: () => closeTab(tab.id) },
+        { label: 'Close Others', disabled: !others.length, run: () => closeTabs(others) },
+        { label: 'Close to the Right', disabled: !right.length, run: () => closeTabs(right) },
+        { label: 'Close Saved', disabled: !saved.length, title: 'Tabs with nothing waiting to be stored or written to their file', run: () => closeTabs(saved) },
+        null,
+        { label: tab.pinned ? 'Unpin' : 'Pin', run: () => setTabPinned(tab.id, !tab.pinned) },
+        { label: 'Rename', keys: keys('F2'), run: () => requestRename(tab.id) },
+        { label: 'Duplicate', disabled: isLocked(tab), run: () => duplicateTab(tab.id) },
+        null,
+        { label: 'Change Color…', run: () => {
+          const swatch = tabsHostEl?.querySelector(`.tab[data-id="${tab.id}"] .tab-color`);
+          if (swatch) openColorPalette(swatch, tab);
+        } },
+        { label: 'Change Language…', run: () => changeTabLanguage(tab.id) },
+        null,
+        { label: 'Copy Contents', disabled: isLocked(tab), run: () => copyTabContents(tab.id) },
+        { label: 'Export…', disabled: isLocked(tab), run: () => exportTabFromMenu(tab.id) },
+      ];
+    }
+
+    // `at` is where the pointer was; without it the menu opens under the tab.
+    function openTabMenu(id, at = null) {
+      const tab = getTab(id);
+      const tabEl = tabsHostEl?.querySelector(`.tab[data-id="${id}"]`);
+      if (!tab || !tabEl) return;
+      closeTabMenu();
+      closeColorPalette();
+      closeTagMenu();
+      commitRename({ focusEditor: false });
+
+      const menu = document.createElement('div');
+      menu.className = 'tab-menu';
+      menu.setAttribute('role', 'menu');
+      menu.setAttribute('aria-label', `Tab ${tab.name || 'Untitled'}`);
+      tabMenuItems(tab).forEach((item) => {
+        if (!item) {
+          const sep = document.createElement('div');
+          sep.className = 'separator';
+          sep.setAttribute('role', 'separator');
+          menu.appendChild(sep);
+          return;
+        }
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.setAttribute('role', 'menuitem');
+        btn.tabIndex = -1;
+        btn.disabled = !!item.disabled;
+        if (item.title) btn.title = item.title;
+        const label = document.createElement('span');
+        label.textContent = item.label;
+        btn.appendChild(label);
+        if (item.keys) {
+          const keys = document.createElement('span');
+          keys.className = 'keys';
+          keys.textContent = item.keys;
+          btn.appendChild(keys);
+        }
+        btn.addEventListener('click', () => {
+          closeTabMenu();
+          item.run();
+        });
+        menu.appendChild(btn);
+      });
+      document.body.appendChild(menu);
+
+      const rect = menu.getBoundingClientRect();
+      const anchor = tabEl.getBoundingClientRect();
+      const x = at ? at.x : anchor.left;
+      const y = at ? at.y : anchor.bottom + 4;
+      menu.style.left = `${Math.round(Math.max(6, Math.min(x, window.innerWidth - rect.width - 6)) + window.scrollX)}px`;
+      menu.style.top = `${Math.round(Math.max(6, Math.min(y, window.innerHeight - rect.height - 6)) + window.scrollY)}px`;
+
+      const items = () => [...menu.querySelectorAll('[role="menuitem"]:not(:disabled)')];
+      items()[0]?.focus();
+      menu.addEventListener('keydown', (event) => {
+        const list = items();
+        const at = list.indexOf(document.activeElement);
+        let next = null;
+        if (event.key === 'ArrowDown') next = list[(at + 1) % list.length];
+        else if (event.key === 'ArrowUp') next = list[(at - 1 + list.length) % list.length];
+        else if (event.key === 'Home') next = list[0];
+        else if (event.key === 'End') next = list[list.length - 1];
+        else if (event.key === 'Escape' || (event.key === 'F10' && event.shiftKey)) {
+          event.preventDefault();
+          event.stopPropagation();
+          closeTabMenu({ focusTab: true });
+          return;
+        } else if (event.key === 'Tab') {
+          event.preventDefault();
+          closeTabMenu({ focusTab: true });
+          return;
+        } else {
+          // first item starting with the typed letter
+          if (event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) return;
+          const key = event.key.toLowerCase();
+          next = [...list.slice(at + 1), ...list.slice(0, at + 1)].find(b => b.textContent.toLowerCase().startsWith(key));
+          if (!next) return;
+        }
+        event.preventDefault();
+        next?.focus();
+      });
+      menu.addEventListener('contextmenu', event => event.preventDefault());
+
+      const onDocPointer = (event) => {
+        if (!menu.contains(event.target)) closeTabMenu();
+      };
+      const onViewChange = () => closeTabMenu();
+      document.addEventListener('pointerdown', onDocPointer, true);
+      window.addEventListener('blur', onViewChange);
+      window.addEventListener('resize', onViewChange);
+      tabsHostEl?.addEventListener('scroll', onViewChange);
+      tabMenuState = {
+        el: menu,
+        tabId: id,
+        cleanup: () => {
+          document.removeEventListener('pointerdown', onDocPointer, true);
+          window.removeEventListener('blur', onViewChange);
+          window.removeEventListener('resize', onViewChange);
+          tabsHostEl?.removeEventListener('scroll', onViewChange);
+        },
+      };
+    }
+
+    // On the host, so rebuilt tab elements need nothing of their own. The
+    // color swatch keeps its own menu (the palette).
+    tabsHostEl?.addEventListener('contextmenu', (event) => {
+      const tabEl = event.target.closest('.tab');
+      if (!tabEl || event.target.closest('.rename-input')) return;
+      event.preventDefault();
+      // raised from the keyboard, it may have no position
+      const byKeyboard = event.clientX === 0 && event.clientY === 0;
+      openTabMenu(tabEl.dataset.id, byKeyboard ? null : { x: event.clientX, y: event.clientY });
+    });
+    // Shift+F10 doesn't raise contextmenu everywhere (macOS)
+    tabsHostEl?.addEventListener('keydown', (event) => {
+      const tabEl = event.target.closest?.('.tab');
+      if (!tabEl || event.target !== tabEl) return;
+      if ((event.key === 'F10' && event.shiftKey) || event.key === 'ContextMenu') {
+        event.preventDefault();
+        openTabMenu(tabEl.dataset.id);
+      }
+    });
+    editor.addAction({ id: 'tabs.contextMenu', label: 'Tab: Show Tab Menu', run: () => openTabMenu(activeTabId) });
+
     // ---- Keybindings ----
     // Register commands directly with Monaco so it handles preventDefault.
     // New Tab (Cmd/Ctrl + T)
@@ -920,14 +4914,17 @@ PY`;
     editor.addCommand(monaco.KeyCode.F2, () => requestRename(activeTabId));
 
     // Helpers for cycling
+    // over the tabs in view: the tag filter and collapsed groups hide the others
     const cycleNext = () => {
-      const idx = tabs.findIndex(t => t.id === activeTabId);
-      const next = tabs[(idx + 1) % tabs.length];
+      const shown = tabsInView();
+      const idx = shown.findIndex(t => t.id === activeTabId);
+      const next = shown[(idx + 1) % shown.length];
       setActive(next.id);
     };
     const cyclePrev = () => {
-      const idx = tabs.findIndex(t => t.id === activeTabId);
-      const prev = tabs[(idx - 1 + tabs.length) % tabs.length];
+      const shown = tabsInView();
+      const idx = shown.findIndex(t => t.id === activeTabId);
+      const prev = shown[(idx - 1 + shown.length) % shown.length];
       setActive(prev.id);
     };
 
@@ -999,6 +4996,14 @@ PY`;
       };
       scrollEl.addEventListener('wheel', onTabbarWheel, { passive: false });
 
+      // Dragging a tab moves it. While the bar can scroll, a quick drag pans it
+      // as before; holding the pointer still for a moment first picks the tab
+      // up instead. A line beside a tab marks where it will land, and the bar
+      // scrolls when the pointer nears either end.
+      const REORDER_HOLD_MS = 300;
+      const REORDER_EDGE_PX = 40;
+      let reorder = null; // { pointerId, id, el, startX, startY, x, timer, picked, dragging, index, frame }
+
       let panPointerId = null;
       let panStartX = 0;
       let panStartScroll = 0;
@@ -1025,7 +5030,7 @@ PY`;
         panActive = false;
       });
       scrollEl.addEventListener('pointermove', (e) => {
-        if (panPointerId == null || e.pointerId !== panPointerId) return;
+        if (panPointerId == null || e.pointerId !== panPointerId || reorder?.picked) return;
         const delta = e.clientX - panStartX;
         if (!panActive) {
           if (Math.abs(delta) < PAN_ACTIVATE_THRESHOLD) return;
@@ -1050,6 +5055,114 @@ PY`;
       scrollEl.addEventListener('pointerup', endPan);
       scrollEl.addEventListener('pointercancel', endPan);
 
+      const canPan = () => scrollEl.scrollWidth > scrollEl.clientWidth;
+
+      function pickUpTab() {
+        reorder.picked = true;
+        reorder.el.classList.add('reordering');
+        scrollEl.classList.add('reordering');
+        if (panPointerId === reorder.pointerId) panPointerId = null;
+        try {
+          scrollEl.setPointerCapture(reorder.pointerId);
+        } catch { /* already released */ }
+      }
+
+      // Marks the gap the pointer is over; no mark where the tab already is.
+      // `reorder.index` is a position in the tab list, which also holds the
+      // tabs the tag filter hides.
+      function updateDropTarget() {
+        const els = [...scrollEl.querySelectorAll('.tab')].filter(el => !el.hidden);
+        const ids = tabs.map(t => t.id);
+        const over = els.find((el) => {
+          const rect = el.getBoundingClientRect();
+          return reorder.x < rect.left + rect.width / 2;
+        });
+        let index = over ? ids.indexOf(over.dataset.id) : ids.indexOf(els[els.length - 1]?.dataset.id) + 1;
+        // pinned tabs stay in front of the others
+        const pinnedCount = tabs.filter(t => t.pinned).length;
+        index = getTab(reorder.id)?.pinned ? Math.min(index, pinnedCount) : Math.max(index, pinnedCount);
+        const from = ids.indexOf(reorder.id);
+        const stays = index === from || index === from + 1;
+        reorder.index = stays ? -1 : index;
+        const before = els.find(el => el.dataset.id === ids[index]);
+        const after = before ? null : els.filter(el => ids.indexOf(el.dataset.id) < index).pop();
+        els.forEach((el) => {
+          el.classList.toggle('drop-before', !stays && el === before);
+          el.classList.toggle('drop-after', !stays && el === after);
+        });
+      }
+
+      function autoScroll() {
+        if (!reorder) return;
+        const rect = scrollEl.getBoundingClientRect();
+        let step = 0;
+        if (reorder.x < rect.left + REORDER_EDGE_PX) step = -(rect.left + REORDER_EDGE_PX - reorder.x);
+        else if (reorder.x > rect.right - REORDER_EDGE_PX) step = reorder.x - (rect.right - REORDER_EDGE_PX);
+        if (step) {
+          // faster the closer to (or further past) the edge
+          scrollEl.scrollBy({ left: Math.max(-20, Math.min(20, Math.round(step / 3))), behavior: 'instant' });
+          updateDropTarget();
+        }
+        reorder.frame = requestAnimationFrame(autoScroll);
+      }
+
+      function endReorder(drop) {
+        if (!reorder) return;
+        const { id, el, index, timer, frame, picked, dragging, pointerId } = reorder;
+        reorder = null;
+        clearTimeout(timer);
+        cancelAnimationFrame(frame);
+        el.classList.remove('reordering');
+        scrollEl.classList.remove('reordering');
+        scrollEl.querySelectorAll('.drop-before, .drop-after').forEach(n => n.classList.remove('drop-before', 'drop-after'));
+        if (picked && scrollEl.hasPointerCapture(pointerId)) scrollEl.releasePointerCapture(pointerId);
+        if (!drop) return;
+        if (dragging && index !== -1) moveTab(id, index);
+        // held and let go without moving: the capture swallowed the click
+        else if (picked && !dragging) setActive(id);
+      }
+
+      scrollEl.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || reorder || renameState || groupByColor) return;
+        const el = e.target.closest('.tab');
+        if (!el || isTabInteractiveTarget(e.target)) return;
+        reorder = {
+          pointerId: e.pointerId, id: el.dataset.id, el,
+          startX: e.clientX, startY: e.clientY, x: e.clientX,
+          timer: null, picked: false, dragging: false, index: -1, frame: 0,
+        };
+        reorder.timer = setTimeout(() => {
+          if (reorder && !reorder.picked && !panActive) pickUpTab();
+        }, REORDER_HOLD_MS);
+      });
+      scrollEl.addEventListener('pointermove', (e) => {
+        if (!reorder || e.pointerId !== reorder.pointerId) return;
+        reorder.x = e.clientX;
+        if (!reorder.dragging) {
+          if (Math.hypot(e.clientX - reorder.startX, e.clientY - reorder.startY) <= TAB_ACTIVATE_THRESHOLD) return;
+          if (!reorder.picked) {
+            // moved before the hold: that's a pan, unless there is nothing to pan
+            if (panActive || canPan()) { endReorder(false); return; }
+            pickUpTab();
+          }
+          reorder.dragging = true;
+          reorder.frame = requestAnimationFrame(autoScroll);
+        }
+        updateDropTarget();
+      });
+      scrollEl.addEventListener('pointerup', (e) => {
+        if (reorder && e.pointerId === reorder.pointerId) endReorder(true);
+      });
+      scrollEl.addEventListener('pointercancel', (e) => {
+        if (reorder && e.pointerId === reorder.pointerId) endReorder(false);
+      });
+      window.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape' || !reorder?.picked) return;
+        e.preventDefault();
+        e.stopPropagation();
+        endReorder(false);
+      }, { capture: true });
+
       scrollEl.addEventListener('mouseenter', bumpScrollbarVisibility);
       scrollEl.addEventListener('mouseleave', () => {
         if (scrollbarFadeTimeout) {
@@ -1076,6 +5189,15 @@ PY`;
       } else if (key === 't' && e.shiftKey) {
         e.preventDefault();
         reopenClosedTab();
+      } else if (key === 'o' && !e.shiftKey) {
+        e.preventDefault();
+        openFiles();
+      } else if (key === 's') {
+        e.preventDefault();
+        saveTabToFile(activeTabId, { saveAs: e.shiftKey });
+      } else if ((e.key === 'PageUp' || e.key === 'PageDown') && e.shiftKey) {
+        e.preventDefault();
+        moveActiveTab(e.key === 'PageUp' ? -1 : 1);
       }
     });
 
@@ -1136,7 +5258,8 @@ function safeParse(s, fallback) {
 }
 
 // --- Theme to UI bridge ---
-function applyThemeToUI(themeId, customThemes) {
+// Base theme and main colors of a built-in or custom theme.
+function resolveThemeColors(themeId, customThemes) {
   const custom = Array.isArray(customThemes) ? customThemes.find(t => t.name === themeId) : null;
   const data = custom && custom.data ? custom.data : null;
   const base = (data && data.base) || (themeId === 'vs' ? 'vs' : (themeId === 'hc-black' ? 'hc-black' : 'vs-dark'));
@@ -1145,6 +5268,11 @@ function applyThemeToUI(themeId, customThemes) {
 
   const bg = colors['editor.background'] || (base === 'vs' ? '#ffffff' : base === 'hc-black' ? '#000000' : '#1e1e1e');
   const fg = colors['editor.foreground'] || (isDark ? '#e6e6e6' : '#111111');
+  return { base, colors, isDark, bg, fg };
+}
+
+function applyThemeToUI(themeId, customThemes) {
+  const { base, colors, isDark, bg, fg } = resolveThemeColors(themeId, customThemes);
   const mixTarget = isDark ? '#ffffff' : '#000000';
   const isHighContrast = (base === 'hc-black');
 
@@ -1204,6 +5332,13 @@ function rgbToHex({ r, g, b }) {
   return `#${to(Math.max(0, Math.min(255, r)))}${to(Math.max(0, Math.min(255, g)))}${to(Math.max(0, Math.min(255, b)))}`;
 }
 
+// #rgb, #rgba, #rrggbb or #rrggbbaa as #rrggbb: the color without its alpha.
+function opaqueHex(hex) {
+  let h = (hex || '').toString().trim().replace(/^#/, '');
+  if (h.length === 3 || h.length === 4) h = h.slice(0, 3).split('').map(c => c + c).join('');
+  return `#${h.slice(0, 6)}`;
+}
+
 function mixHex(hexA, hexB, t) {
   const a = hexToRgb(hexA);
   const b = hexToRgb(hexB);
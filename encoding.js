@@ -0,0 +1,109 @@
+// encoding.js
+
+// Text encodings for files on disk and line-ending detection. TextDecoder
+// reads UTF-8 and UTF-16, but TextEncoder only writes UTF-8, so UTF-16 and
+// Latin-1 are encoded here by hand. Latin-1 is decoded by hand as well:
+// TextDecoder treats the "latin1" label as Windows-1252.
+
+export const ENCODINGS = [
+  { id: 'utf-8', label: 'UTF-8', short: 'UTF-8' },
+  { id: 'utf-8-bom', label: 'UTF-8 with BOM', short: 'UTF-8 BOM' },
+  { id: 'utf-16le', label: 'UTF-16 LE', short: 'UTF-16 LE' },
+  { id: 'utf-16be', label: 'UTF-16 BE', short: 'UTF-16 BE' },
+  { id: 'latin1', label: 'Latin-1 (ISO 8859-1)', short: 'Latin-1' },
+];
+
+export const DEFAULT_ENCODING = 'utf-8';
+export const isEncoding = id => ENCODINGS.some(e => e.id === id);
+export const encodingInfo = id => ENCODINGS.find(e => e.id === id) || ENCODINGS[0];
+
+const startsWith = (bytes, prefix) => prefix.every((b, i) => bytes[i] === b);
+const BOMS = {
+  'utf-8-bom': [0xEF, 0xBB, 0xBF],
+  'utf-16le': [0xFF, 0xFE],
+  'utf-16be': [0xFE, 0xFF],
+};
+
+// Byte order mark first, then valid UTF-8, then UTF-16 without a BOM (text
+// that is mostly ASCII has a zero in every other byte), and Latin-1 for
+// anything else, since every byte sequence is valid Latin-1.
+export function detectEncoding(bytes) {
+  const bom = Object.keys(BOMS).find(id => startsWith(bytes, BOMS[id]));
+  if (bom) return bom;
+  try {
+    // stream: a sample may end in the middle of a character
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    if (!bytes.includes(0)) return 'utf-8';
+  } catch { /* not UTF-8 */ }
+  const pairs = Math.floor(Math.min(bytes.length, 4096) / 2);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs; i++) {
+    if (bytes[2 * i] === 0) evenZeros++;
+    if (bytes[2 * i + 1] === 0) oddZeros++;
+  }
+  if (pairs && oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return 'utf-16le';
+  if (pairs && evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return 'utf-16be';
+  return bytes.includes(0) ? 'utf-8' : 'latin1';
+}
+
+// Decodes, dropping the byte order mark if there is one.
+export function decodeText(bytes, encoding) {
+  if (encoding === 'latin1') {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return text;
+  }
+  const label = encoding === 'utf-8-bom' ? 'utf-8' : encoding;
+  // TextDecoder drops a BOM that matches the encoding by itself
+  return new TextDecoder(label).decode(bytes);
+}
+
+// Index of the first character the encoding can't represent, or -1.
+export function unencodableIndex(text, encoding) {
+  if (encoding !== 'latin1') return -1;
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) > 0xFF) return i;
+  }
+  return -1;
+}
+
+// Characters outside Latin-1 become "?"; check unencodableIndex() first.
+export function encodeText(text, encoding) {
+  if (encoding === 'utf-8' || !isEncoding(encoding)) return new TextEncoder().encode(text);
+  if (encoding === 'utf-8-bom') {
+    const body = new TextEncoder().encode(text);
+    const bytes = new Uint8Array(body.length + 3);
+    bytes.set(BOMS['utf-8-bom']);
+    bytes.set(body, 3);
+    return bytes;
+  }
+  if (encoding === 'latin1') {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      const c = text.charCodeAt(i);
+      bytes[i] = c > 0xFF ? 0x3F : c;
+    }
+    return bytes;
+  }
+  // UTF-16 (JavaScript strings already are UTF-16 code units), written with a byte order mark
+  const littleEndian = encoding === 'utf-16le';
+  const bytes = new Uint8Array(2 + text.length * 2);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, 0xFEFF, littleEndian);
+  for (let i = 0; i < text.length; i++) view.setUint16(2 + i * 2, text.charCodeAt(i), littleEndian);
+  return bytes;
+}
+
+// The line ending most lines use ('CRLF' or 'LF'), and whether both occur.
+export function detectEOL(text) {
+  let crlf = 0;
+  let lf = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    if (i > 0 && text.charCodeAt(i - 1) === 13) crlf++;
+    else lf++;
+  }
+  return { eol: crlf > lf ? 'CRLF' : 'LF', mixed: crlf > 0 && lf > 0 };
+}
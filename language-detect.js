@@ -0,0 +1,115 @@
+// language-detect.js
+
+// Guesses a tab's language from its name or from its content. Both return a
+// language id, or null when there is no clear answer; callers keep the current
+// language then.
+
+// `registered` is the list from monaco.languages.getLanguages(), limited to the
+// languages the editor offers. An exact file name (e.g. "Dockerfile") wins over
+// extensions, and the longest matching extension wins over shorter ones.
+export function languageFromFileName(fileName, registered = []) {
+  const lower = String(fileName || '').trim().toLowerCase();
+  if (!lower) return null;
+  let best = null;
+  let bestScore = 0;
+  registered.forEach((lang) => {
+    (lang.filenames || []).forEach((name) => {
+      if (name.toLowerCase() === lower) { best = lang.id; bestScore = Infinity; }
+    });
+    (lang.extensions || []).forEach((ext) => {
+      const e = ext.toLowerCase();
+      if (lower.length > e.length && lower.endsWith(e) && e.length > bestScore) {
+        best = lang.id;
+        bestScore = e.length;
+      }
+    });
+  });
+  return best;
+}
+
+// Interpreter named on a `#!` line -> language
+const SHEBANGS = [
+  [/^(ba|da|k|z|fi)?sh$/, 'shell'],
+  [/^python[\d.]*$/, 'python'],
+  [/^(node|nodejs|deno|bun)$/, 'javascript'],
+  [/^(ts-node|tsx)$/, 'typescript'],
+  [/^ruby$/, 'ruby'],
+  [/^perl[\d.]*$/, 'perl'],
+  [/^php[\d.]*$/, 'php'],
+  [/^(pwsh|powershell)$/, 'powershell'],
+  [/^lua[\d.]*$/, 'lua'],
+  [/^rscript$/, 'r'],
+  [/^julia$/, 'julia'],
+  [/^tclsh[\d.]*$/, 'tcl'],
+];
+
+// Only the start of the text is examined, so pasting a huge log stays cheap.
+const HEAD_CHARS = 4000;
+
+const SQL_START = /^(SELECT\b[\s\S]+?\bFROM\b|INSERT\s+INTO\b|UPDATE\s+\S+\s+SET\b|DELETE\s+FROM\b|(CREATE|ALTER|DROP)\s+(OR\s+REPLACE\s+)?(TABLE|VIEW|INDEX|FUNCTION|PROCEDURE|SCHEMA|DATABASE)\b|WITH\s+\w+\s+AS\s*\()/i;
+
+function fromShebang(firstLine) {
+  const m = /^#!\s*(\S+)(.*)$/.exec(firstLine);
+  if (!m) return null;
+  let command = m[1].split('/').pop();
+  if (command === 'env') {
+    // `#!/usr/bin/env -S node --flags`: the first word that isn't an option
+    command = m[2].trim().split(/\s+/).find(word => word && !word.startsWith('-')) || '';
+  }
+  const match = SHEBANGS.find(([pattern]) => pattern.test(command.toLowerCase()));
+  return match ? match[1] : null;
+}
+
+function isJson(text) {
+  if (!/^[[{]/.test(text)) return false;
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Mostly `key: value` and `- item` lines, with at least a few keys.
+function looksLikeYaml(lines) {
+  const meaningful = lines.filter(l => l.trim() && !l.trim().startsWith('#'));
+  if (meaningful.length < 2) return false;
+  const keys = meaningful.filter(l => /^\s*[\w.-]+:(\s|$)/.test(l)).length;
+  const items = meaningful.filter(l => /^\s*- /.test(l)).length;
+  return keys >= 2 && (keys + items) / meaningful.length >= 0.8;
+}
+
+export function languageFromContent(text) {
+  const head = String(text || '').slice(0, HEAD_CHARS);
+  const trimmed = head.trim();
+  if (!trimmed) return null;
+  const lines = head.split(/\r?\n/);
+
+  const shebang = fromShebang(lines[0]);
+  if (shebang) return shebang;
+  // JSON has to be parsed whole; only try when the text is not too big
+  if (text.length <= 1024 * 1024 && isJson(text.trim())) return 'json';
+  if (/^<!DOCTYPE\s+html\b|^<html[\s>]/i.test(trimmed)) return 'html';
+  if (/^<\?php\b/.test(trimmed)) return 'php';
+  if (/^<\?xml\s/.test(trimmed)) return 'xml';
+  if (/^---\r?\n/.test(head)) {
+    // front matter followed by more text is a Markdown document
+    const end = lines.indexOf('---', 1);
+    if (end > 0 && lines.slice(end + 1).some(l => l.trim())) return 'markdown';
+    return 'yaml';
+  }
+  if (SQL_START.test(trimmed.replace(/^(--[^\n]*\n\s*)+/, ''))) return 'sql';
+  if (/^FROM\s+\S+/i.test(trimmed) && lines.some(l => /^(RUN|CMD|ENTRYPOINT|COPY|WORKDIR)\s/.test(l))) return 'dockerfile';
+  if (looksLikeYaml(lines)) return 'yaml';
+  if (/^```/m.test(head)) return 'markdown';
+  // a heading alone could be a script comment; with lists or links it's Markdown
+  if (/^#{1,6} \S/m.test(head) && /^\s*([-*+] |\d+\. )\S|\[[^\]\n]+\]\([^)\s]+\)/m.test(head)) return 'markdown';
+  return null;
+}
+
+// Extension (with the dot) to save a language's text under: the first one it
+// registers with Monaco, or ".txt".
+export function extensionForLanguage(languageId, registered) {
+  const lang = registered.find(l => l.id === languageId);
+  return lang?.extensions?.[0] || '.txt';
+}
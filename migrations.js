@@ -0,0 +1,163 @@
+// migrations.js
+
+// Ordered, one-time upgrades of the stored data, run once at startup.
+//
+// The current schema version lives under SCHEMA_KEY. Each step reads and
+// writes through a draft; the draft's changes and the new schema record are
+// committed in a single transaction. A step that throws, or a commit that
+// fails, leaves the stored data exactly as it was, and later steps are not
+// attempted until the next load.
+//
+// Steps describe the data as it was at their version: key names and formats
+// are spelled out here on purpose instead of being shared with editor.js.
+// To change stored data, append a step; never edit one that has shipped.
+
+import { normalizeTabMeta } from './tab-meta.js';
+
+export const SCHEMA_KEY = 'schema';
+
+export const migrations = [
+  { version: 1, name: 'Import tabs from localStorage', up: importLocalStorage },
+  { version: 2, name: 'Move tabs into the default workspace', up: createDefaultWorkspace },
+  { version: 3, name: 'Normalize tab metadata', up: normalizeWorkspaceTabs },
+];
+
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+export async function runMigrations(store) {
+  let schema = readSchema(store);
+  const applied = [];
+  if (schema.version > SCHEMA_VERSION) {
+    return { ok: false, tooNew: true, version: schema.version, applied };
+  }
+  for (;;) {
+    const step = migrations.find(m => m.version > schema.version);
+    if (!step) break;
+    const draft = createDraft(store);
+    const next = {
+      version: step.version,
+      applied: [...schema.applied, { version: step.version, name: step.name, at: Date.now() }],
+    };
+    try {
+      await step.up(draft, { kind: store.kind });
+      const expected = schema.version;
+      await store.batch([...draft.ops(), { key: SCHEMA_KEY, value: next }], {
+        // another window may be migrating at the same time
+        expect: { key: SCHEMA_KEY, test: current => (current?.version ?? 0) === expected },
+      });
+    } catch (err) {
+      if (err && err.name === 'PreconditionFailed') {
+        await store.reload();
+        schema = readSchema(store);
+        continue;
+      }
+      console.error(`Migration ${step.version} (${step.name}) failed:`, err);
+      return { ok: false, failed: step, error: err, version: schema.version, applied };
+    }
+    draft.runAfterCommit();
+    schema = next;
+    applied.push(step);
+  }
+  return { ok: true, version: schema.version, applied };
+}
+
+function readSchema(store) {
+  const schema = store.get(SCHEMA_KEY);
+  if (schema && Number.isInteger(schema.version)) {
+    return { version: schema.version, applied: Array.isArray(schema.applied) ? schema.applied : [] };
+  }
+  return { version: 0, applied: [] };
+}
+
+// Reads see the draft's own changes; nothing touches the store until commit.
+// Objects are cloned on read so a failing step can't alter cached data in place.
+function createDraft(store) {
+  const changes = new Map(); // key -> value, or undefined when removed
+  const afterCommit = [];
+  return {
+    get(key, fallback = null) {
+      const value = changes.has(key) ? changes.get(key) : store.get(key);
+      if (value === undefined || value === null) return fallback;
+      return typeof value === 'object' ? structuredClone(value) : value;
+    },
+    set(key, value) { changes.set(key, value); },
+    remove(key) { changes.set(key, undefined); },
+    keys(prefix = '') {
+      const keys = new Set(store.keys(prefix));
+      changes.forEach((value, key) => {
+        if (!key.startsWith(prefix)) return;
+        if (value === undefined) keys.delete(key);
+        else keys.add(key);
+      });
+      return [...keys];
+    },
+    // Side effects outside the store (e.g. clearing localStorage) that must only happen once committed.
+    afterCommit(fn) { afterCommit.push(fn); },
+    ops() {
+      return [...changes].map(([key, value]) => (value === undefined ? { key, remove: true } : { key, value }));
+    },
+    runAfterCommit() {
+      afterCommit.forEach((fn) => {
+        try { fn(); } catch (err) { console.error('Post-migration cleanup failed:', err); }
+      });
+    },
+  };
+}
+
+// ---- Steps ----
+
+// v1: tab contents and metadata used to live in localStorage.
+function importLocalStorage(draft, { kind }) {
+  draft.remove('migratedFromLocalStorageV1'); // marker from the first IndexedDB release
+  if (kind !== 'indexeddb') return; // the localStorage store reads these keys in place
+  const moved = [];
+  ['tabsMetaV1', 'closedHistoryV1'].forEach((key) => {
+    const raw = localStorage.getItem(key);
+    if (raw == null) return;
+    moved.push(key);
+    if (draft.get(key) != null) return;
+    try { draft.set(key, JSON.parse(raw)); } catch { /* drop unreadable record */ }
+  });
+  const raw = localStorage.getItem('activeTabIdV1');
+  if (raw != null) {
+    moved.push('activeTabIdV1');
+    if (draft.get('activeTabIdV1') == null) draft.set('activeTabIdV1', raw);
+  }
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key || !key.startsWith('model:')) continue;
+    moved.push(key);
+    if (draft.get(key) == null) draft.set(key, localStorage.getItem(key));
+  }
+  draft.afterCommit(() => moved.forEach(key => localStorage.removeItem(key)));
+}
+
+// v2: tabs are grouped into workspaces; existing tabs form the default one.
+function createDefaultWorkspace(draft) {
+  const workspaces = draft.get('workspacesV1');
+  if (Array.isArray(workspaces) && workspaces.length) return;
+  draft.set('workspacesV1', [{ id: 'default', name: 'Default', ownHistory: false }]);
+  ['tabsMetaV1', 'activeTabIdV1'].forEach((key) => {
+    const value = draft.get(key);
+    if (value == null) return;
+    draft.set(`ws:default:${key}`, value);
+    draft.remove(key);
+  });
+}
+
+// v3: the checks the editor used to repeat on every load (ids, names, colors, uris).
+function normalizeWorkspaceTabs(draft) {
+  draft.keys('ws:').filter(key => key.endsWith(':tabsMetaV1')).forEach((key) => {
+    const list = draft.get(key, []);
+    if (!Array.isArray(list)) {
+      draft.set(key, []);
+      return;
+    }
+    const seen = new Set();
+    const normalized = list
+      .filter(tab => tab && typeof tab === 'object')
+      .map(normalizeTabMeta)
+      .filter(tab => !seen.has(tab.id) && seen.add(tab.id));
+    if (JSON.stringify(normalized) !== JSON.stringify(list)) draft.set(key, normalized);
+  });
+}
@@ -0,0 +1,147 @@
+// save-backends.js
+
+import { companionSettings, createCompanion } from './companion.js';
+
+// Ways to save a tab's text as a file (the ⤓ button). Every backend tells
+// whether it works in this browser. save() takes the file name and its data
+// (text, or bytes already in the tab's encoding); it resolves with a short description
+// of where the file went, resolves with null when the user cancelled, and
+// rejects with the reason when saving failed.
+
+export function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+const toBytes = data => (typeof data === 'string' ? new TextEncoder().encode(data) : data);
+
+function base64Encode(bytes) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+// Writes into the home folder through BetterTouchTool's shell bridge,
+// adding -1, -2, … rather than overwriting an existing file.
+const bttBackend = {
+  id: 'btt',
+  label: 'Home folder (BetterTouchTool)',
+  isAvailable: () => typeof window.runShellScript === 'function',
+  async save(fileName, data) {
+    // the name ends up in a Python string literal
+    const safeName = fileName.replace(/["\\\r\n]/g, '_');
+    const b64 = base64Encode(toBytes(data));
+
+    const script = `python3 - <<'PY'
+import base64, pathlib, re
+
+home = pathlib.Path.home()
+
+name = """${safeName}"""
+name = re.sub(r"[\\\\/]", "_", name).strip() or "document.txt"
+
+data = base64.b64decode("""${b64}""")
+
+path = home / name
+stem, suffix = path.stem, path.suffix
+i = 1
+while path.exists():
+    path = home / f"{stem}-{i}{suffix}"
+    i += 1
+
+path.write_bytes(data)
+print(str(path))
+PY`;
+
+    const result = await window.runShellScript({
+      script,
+      launchPath: '/bin/bash',
+      parameters: '-c',
+    });
+    const path = (result || '').trim();
+    if (!path) throw new Error('the save script reported no file');
+
+    if (typeof window.display_notification === 'function') {
+      await window.display_notification({
+        title: 'Saved',
+        subTitle: path,
+      });
+    }
+
+    return path;
+  },
+};
+
+const fileSystemBackend = {
+  id: 'file-system',
+  label: 'Choose a location',
+  isAvailable: () => typeof window.showSaveFilePicker === 'function',
+  async save(fileName, data) {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({ suggestedName: fileName });
+    } catch (err) {
+      if (err.name === 'AbortError') return null;
+      throw err;
+    }
+    const writable = await handle.createWritable();
+    await writable.write(toBytes(data));
+    await writable.close();
+    return handle.name;
+  },
+};
+
+// Into the companion server's folder (companion.js), adding -1, -2, … like
+// the BetterTouchTool backend rather than overwriting.
+const companionBackend = {
+  id: 'companion',
+  label: 'Companion folder',
+  isAvailable: () => !!companionSettings(),
+  async save(fileName, data) {
+    const companion = createCompanion(companionSettings());
+    const dot = fileName.lastIndexOf('.');
+    const stem = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const ext = dot > 0 ? fileName.slice(dot) : '';
+    for (let i = 0; i < 100; i++) {
+      const path = i ? `${stem}-${i}${ext}` : fileName;
+      try {
+        await companion.write(path, toBytes(data), { create: true });
+        return path;
+      } catch (err) {
+        if (err.code !== 'exists') throw err;
+      }
+    }
+    throw new Error(`too many files named like ${fileName}`);
+  },
+};
+
+// Always available; where the file lands is up to the browser.
+const downloadBackend = {
+  id: 'download',
+  label: 'Browser download',
+  isAvailable: () => true,
+  async save(fileName, data) {
+    downloadBlob(fileName, new Blob([data], { type: 'text/plain' }));
+    return `${fileName} (downloads)`;
+  },
+};
+
+// In order of preference for automatic selection.
+export const saveBackends = [bttBackend, companionBackend, fileSystemBackend, downloadBackend];
+
+// The preferred backend when it works here, otherwise the first one that does.
+export function pickSaveBackend(preferredId = 'auto') {
+  const preferred = saveBackends.find(b => b.id === preferredId);
+  if (preferred && preferred.isAvailable()) return preferred;
+  return saveBackends.find(b => b.isAvailable());
+}
@@ -0,0 +1,269 @@
+// storage.js
+
+// IndexedDB-backed key/value store for tab contents, tab metadata and closed
+// history. Everything is read into memory when the store opens so the editor
+// can keep reading synchronously; writes update memory right away and are
+// committed to IndexedDB in the background (each write returns a promise).
+// Small preferences (theme, default language) stay in localStorage.
+
+const DB_NAME = 'simpleMonacoEditor';
+const DB_VERSION = 1;
+const KV_STORE = 'kv';
+const MODEL_PREFIX = 'model:';
+
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+export async function openStore() {
+  if (typeof indexedDB === 'undefined') return createLocalStorageStore();
+  let db;
+  try {
+    db = await openDatabase();
+  } catch (err) {
+    console.warn('IndexedDB unavailable, falling back to localStorage:', err);
+    return createLocalStorageStore();
+  }
+  const cache = await readAll(db);
+  // Ask the browser not to evict our data under storage pressure (best effort).
+  navigator.storage?.persist?.().catch(() => {});
+  return createIdbStore(db, cache);
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(KV_STORE)) db.createObjectStore(KV_STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB open blocked'));
+  });
+}
+
+function readAll(db) {
+  return new Promise((resolve, reject) => {
+    const cache = new Map();
+    const tx = db.transaction(KV_STORE, 'readonly');
+    const req = tx.objectStore(KV_STORE).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      cache.set(cursor.key, cursor.value);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(cache);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function runWrite(db, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(KV_STORE, 'readwrite');
+    fn(tx.objectStore(KV_STORE));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function preconditionFailed(key) {
+  const err = new Error(`Stored value of "${key}" changed`);
+  err.name = 'PreconditionFailed';
+  return err;
+}
+
+function createIdbStore(db, cache) {
+  return {
+    kind: 'indexeddb',
+    get(key, fallback = null) {
+      return cache.has(key) ? cache.get(key) : fallback;
+    },
+    set(key, value) {
+      cache.set(key, value);
+      return runWrite(db, os => os.put(value, key));
+    },
+    remove(key) {
+      cache.delete(key);
+      return runWrite(db, os => os.delete(key));
+    },
+    // Record a value another window has already committed, without writing it again.
+    prime(key, value) {
+      if (value === undefined) cache.delete(key);
+      else cache.set(key, value);
+    },
+    // Apply several writes ({ key, value } or { key, remove: true }) in one
+    // transaction: all of them land or none do. With `expect`, the batch is
+    // aborted with a PreconditionFailed error unless expect.test() accepts the
+    // currently stored value of expect.key.
+    batch(ops, { expect } = {}) {
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(KV_STORE, 'readwrite');
+        const os = tx.objectStore(KV_STORE);
+        let failure = null;
+        const apply = () => ops.forEach(op => (op.remove ? os.delete(op.key) : os.put(op.value, op.key)));
+        if (expect) {
+          const req = os.get(expect.key);
+          req.onsuccess = () => {
+            if (expect.test(req.result)) {
+              apply();
+            } else {
+              failure = preconditionFailed(expect.key);
+              tx.abort();
+            }
+          };
+        } else {
+          apply();
+        }
+        tx.oncomplete = () => {
+          ops.forEach(op => (op.remove ? cache.delete(op.key) : cache.set(op.key, op.value)));
+          resolve();
+        };
+        tx.onerror = () => reject(failure || tx.error);
+        tx.onabort = () => reject(failure || tx.error || new Error('Transaction aborted'));
+      });
+    },
+    // Re-read keys (all of them when omitted) from the database, picking up
+    // writes made by other windows.
+    async reload(keys) {
+      if (!keys) {
+        const fresh = await readAll(db);
+        cache.clear();
+        fresh.forEach((value, key) => cache.set(key, value));
+        return;
+      }
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(KV_STORE, 'readonly');
+        const os = tx.objectStore(KV_STORE);
+        keys.forEach((key) => {
+          const req = os.get(key);
+          req.onsuccess = () => {
+            if (req.result === undefined) cache.delete(key);
+            else cache.set(key, req.result);
+          };
+        });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+    keys(prefix = '') {
+      return [...cache.keys()].filter(k => typeof k === 'string' && k.startsWith(prefix));
+    },
+    async estimate() {
+      if (!navigator.storage?.estimate) return null;
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return quota ? { usage, quota } : null;
+    },
+  };
+}
+
+// Same interface on top of localStorage, for browsers without IndexedDB.
+// Model contents are stored as raw text (the legacy format), everything else as JSON.
+function createLocalStorageStore() {
+  const isRawKey = key => key.startsWith(MODEL_PREFIX);
+  const attempt = (fn) => {
+    try { fn(); return Promise.resolve(); } catch (err) { return Promise.reject(err); }
+  };
+  return {
+    kind: 'localStorage',
+    get(key, fallback = null) {
+      const raw = localStorage.getItem(key);
+      if (raw == null) return fallback;
+      if (isRawKey(key)) return raw;
+      try { return JSON.parse(raw); } catch { return raw; }
+    },
+    set(key, value) {
+      return attempt(() => localStorage.setItem(key, isRawKey(key) ? value : JSON.stringify(value)));
+    },
+    remove(key) {
+      return attempt(() => localStorage.removeItem(key));
+    },
+    // localStorage has no transactions: on failure, put back what was there.
+    batch(ops, { expect } = {}) {
+      if (expect && !expect.test(this.get(expect.key, undefined))) {
+        return Promise.reject(preconditionFailed(expect.key));
+      }
+      const previous = ops.map(op => [op.key, localStorage.getItem(op.key)]);
+      try {
+        ops.forEach((op) => {
+          if (op.remove) localStorage.removeItem(op.key);
+          else localStorage.setItem(op.key, isRawKey(op.key) ? op.value : JSON.stringify(op.value));
+        });
+      } catch (err) {
+        previous.forEach(([key, raw]) => {
+          try {
+            if (raw == null) localStorage.removeItem(key);
+            else localStorage.setItem(key, raw);
+          } catch { /* restoring an older, smaller value rarely fails */ }
+        });
+        return Promise.reject(err);
+      }
+      return Promise.resolve();
+    },
+    prime() {
+      // reads go straight to localStorage, so there is nothing to cache
+    },
+    async reload() {},
+    keys(prefix = '') {
+      const out = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(prefix)) out.push(key);
+      }
+      return out;
+    },
+    async estimate() {
+      // Browsers don't expose the localStorage quota; most allow ~5 MB of UTF-16.
+      let usage = 0;
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i) || '';
+        usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+      }
+      return { usage, quota: LOCAL_STORAGE_QUOTA };
+    },
+  };
+}
+
+// Keeps every write in memory on top of `store`. The editor runs on this when
+// the stored data couldn't be upgraded (migrations.js), so nothing is written
+// in a format whose upgrade hasn't been applied; the upgrade is retried on the
+// next load.
+export function readOnlyStore(store) {
+  const overlay = new Map(); // key -> value, or undefined when removed
+  return {
+    kind: store.kind,
+    readOnly: true,
+    get(key, fallback = null) {
+      if (!overlay.has(key)) return store.get(key, fallback);
+      const value = overlay.get(key);
+      return value === undefined || value === null ? fallback : value;
+    },
+    set(key, value) {
+      overlay.set(key, value);
+      return Promise.resolve();
+    },
+    remove(key) {
+      overlay.set(key, undefined);
+      return Promise.resolve();
+    },
+    prime(key, value) {
+      overlay.set(key, value);
+    },
+    batch(ops) {
+      ops.forEach(op => overlay.set(op.key, op.remove ? undefined : op.value));
+      return Promise.resolve();
+    },
+    // what this session changed still wins over what other windows stored
+    reload: keys => store.reload(keys),
+    keys(prefix = '') {
+      const keys = new Set(store.keys(prefix));
+      overlay.forEach((value, key) => {
+        if (typeof key !== 'string' || !key.startsWith(prefix)) return;
+        if (value === undefined) keys.delete(key);
+        else keys.add(key);
+      });
+      return [...keys];
+    },
+    estimate: () => store.estimate(),
+  };
+}
@@ -0,0 +1,45 @@
+// sync.js
+
+// Same-origin messaging between editor windows. Uses BroadcastChannel where
+// available and falls back to `storage` events (a key that is written and
+// immediately removed) for older browsers.
+
+export function createSyncChannel(name, onMessage) {
+  const windowId = (crypto && crypto.randomUUID) ? crypto.randomUUID() : String(Date.now() + Math.random());
+  const receive = (msg) => {
+    if (!msg || typeof msg !== 'object' || msg.from === windowId) return;
+    try { onMessage(msg); } catch (err) { console.error('Sync message failed:', msg.type, err); }
+  };
+
+  if (typeof BroadcastChannel === 'function') {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = (e) => receive(e.data);
+    return {
+      windowId,
+      post(msg) {
+        try { channel.postMessage({ ...msg, from: windowId }); } catch (err) { console.error('Sync post failed:', err); }
+      },
+      close() { channel.close(); },
+    };
+  }
+
+  const key = `${name}:message`;
+  const onStorage = (e) => {
+    if (e.key !== key || !e.newValue) return;
+    try { receive(JSON.parse(e.newValue)); } catch { /* ignore malformed */ }
+  };
+  window.addEventListener('storage', onStorage);
+  return {
+    windowId,
+    post(msg) {
+      try {
+        // nonce makes repeated identical messages still fire a storage event
+        localStorage.setItem(key, JSON.stringify({ ...msg, from: windowId, nonce: Math.random() }));
+        localStorage.removeItem(key);
+      } catch (err) {
+        console.error('Sync post failed:', err);
+      }
+    },
+    close() { window.removeEventListener('storage', onStorage); },
+  };
+}
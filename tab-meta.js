@@ -0,0 +1,42 @@
+// tab-meta.js
+
+// Normalization rules for tab records. Shared by startup, session import and
+// the storage migrations so they all accept exactly the same data.
+
+export const DEFAULT_TAG_COLOR = '#8E8E93'; // Finder-style neutral gray
+
+const newId = () => (crypto && crypto.randomUUID) ? crypto.randomUUID() : String(Date.now() + Math.random());
+
+export function normalizeColor(input, fallback = DEFAULT_TAG_COLOR) {
+  if (typeof input !== 'string') return fallback;
+  const hex = input.trim();
+  if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) {
+    const normalized = hex.length === 4
+      ? '#' + hex.slice(1).split('').map(c => c + c).join('')
+      : hex;
+    return normalized.toUpperCase();
+  }
+  return fallback;
+}
+
+export function normalizeTabName(input, maxLen = 120) {
+  if (typeof input !== 'string') return '';
+  let name = input.replace(/[\u0000-\u001F\u007F]/g, '');
+  name = name.replace(/\s+/g, ' ').trim();
+  if (name.length > maxLen) name = name.slice(0, maxLen).trim();
+  return name;
+}
+
+export function normalizeTabMeta(tab) {
+  const id = tab.id || newId();
+  const { pinned, ...rest } = tab;
+  return {
+    ...rest,
+    ...(pinned === true ? { pinned: true } : {}),
+    id,
+    name: normalizeTabName(typeof tab.name === 'string' ? tab.name : ''),
+    language: (typeof tab.language === 'string' && tab.language) || 'markdown',
+    uri: tab.uri || `inmemory://${id}`,
+    color: normalizeColor(tab.color),
+  };
+}
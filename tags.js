@@ -0,0 +1,39 @@
+// tags.js
+
+// The tag set: the colors offered for tabs, each with an optional label
+// ("Prod incident", "Draft"). It is kept in localStorage, so every workspace
+// in this browser shares it. The default tag is always in the set because
+// tabs whose tag is deleted fall back to it.
+
+import { DEFAULT_TAG_COLOR, normalizeColor, normalizeTabName } from './tab-meta.js';
+
+export const TAGS_KEY = 'tabTags';
+const PRESET_COLORS = ['#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#007AFF', '#AF52DE', DEFAULT_TAG_COLOR];
+
+export const normalizeTagName = name => normalizeTabName(name, 40);
+
+// [{ color, name }] in palette order, one entry per color.
+export function normalizeTags(list) {
+  const tags = [];
+  (Array.isArray(list) ? list : []).forEach((entry) => {
+    const color = normalizeColor(entry?.color, null);
+    if (!color || tags.some(t => t.color === color)) return;
+    tags.push({ color, name: normalizeTagName(entry.name) });
+  });
+  if (!tags.some(t => t.color === DEFAULT_TAG_COLOR)) tags.push({ color: DEFAULT_TAG_COLOR, name: '' });
+  return tags;
+}
+
+export function loadTags() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TAGS_KEY) || 'null');
+    if (Array.isArray(stored)) return normalizeTags(stored);
+  } catch { /* fall back to the presets */ }
+  return PRESET_COLORS.map(color => ({ color, name: '' }));
+}
+
+export function saveTags(tags) {
+  const normalized = normalizeTags(tags);
+  localStorage.setItem(TAGS_KEY, JSON.stringify(normalized));
+  return normalized;
+}
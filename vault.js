@@ -0,0 +1,73 @@
+// vault.js
+
+// Passphrase-based encryption for tab contents. The passphrase is stretched
+// with PBKDF2 into an AES-GCM key that never leaves memory. The stored vault
+// record only holds the salt, the iteration count and a known text encrypted
+// with the key, so a wrong passphrase is detected before any tab is touched.
+
+const PBKDF2_ITERATIONS = 600000;
+const CHECK_TEXT = 'simple-monaco-editor vault';
+
+export const isVaultSupported = () => !!(globalThis.crypto && crypto.subtle && crypto.getRandomValues);
+
+export const isVaultRecord = record => !!(record && typeof record === 'object'
+  && typeof record.salt === 'string' && Number.isInteger(record.iterations) && typeof record.check === 'string');
+
+function toBase64(bytes) {
+  let binary = '';
+  // in chunks: fromCharCode takes its input as call arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+const fromBase64 = str => Uint8Array.from(atob(str), c => c.charCodeAt(0));
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+export async function createVault(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const record = {
+    version: 1,
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    check: await encryptText(key, CHECK_TEXT),
+  };
+  return { record, key };
+}
+
+// Resolves with the key, or null when the passphrase is wrong.
+export async function unlockVault(record, passphrase) {
+  const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+  try {
+    return (await decryptText(key, record.check)) === CHECK_TEXT ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+// Ciphertext is stored as text: "<iv>.<data>", both base64.
+export async function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return `${toBase64(iv)}.${toBase64(new Uint8Array(data))}`;
+}
+
+// Rejects when the data was not encrypted with this key or has been altered.
+export async function decryptText(key, payload) {
+  const [iv, data] = String(payload).split('.');
+  if (!iv || !data) throw new Error('not encrypted data');
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+  return new TextDecoder().decode(plain);
+}